@@ -1,5 +1,10 @@
 "use strict";
 
+const fs = require("fs");
+const https = require("https");
+const path = require("path");
+const readline = require("readline");
+const { pipeline } = require("stream/promises");
 const utils = require("@iobroker/adapter-core");
 const { createClient } = require("@clickhouse/client");
 
@@ -54,8 +59,145 @@ const VALUE_COLUMN_CONFIG = {
 	},
 };
 
+const RAW_METADATA_COLUMNS = [
+	{ name: "ack", definition: "UInt8 DEFAULT 1" },
+	{ name: "q", definition: "UInt16 DEFAULT 0" },
+	{ name: "from", definition: "LowCardinality(String) DEFAULT ''" },
+	{ name: "lc", definition: "Nullable(DateTime64(3, 'UTC'))" },
+	// previous stored sample, gives the integral and the on-times of the aggregate tiers their durations;
+	// numbers and booleans keep the value in prev_value, strings in prev_text
+	{ name: "prev_ts", definition: "Nullable(DateTime64(3, 'UTC'))" },
+	{ name: "prev_value", definition: "Nullable(Float64)" },
+	{ name: "prev_text", definition: "Nullable(String)" },
+];
+
+const STORAGE_LAYOUTS = ["perState", "wide"];
+// value column of the wide table per value type, everything not listed is stored as string
+const WIDE_VALUE_COLUMNS = {
+	[VALUE_TYPES.NUMBER]: "value_number",
+	[VALUE_TYPES.BOOLEAN]: "value_bool",
+};
+// with Distributed tables, reads and inserts go to `<table>_dist` in front of each local table
+const DISTRIBUTED_SUFFIX = "_dist";
+
 const NUMERIC_EPSILON = 1e-12;
-const RAW_HISTORY_TTL_DAYS = 90;
+const RECONNECT_MIN_DELAY = 5000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL = 30000;
+const STATS_INTERVAL = 10000;
+// reasons pushHistory and shouldSkipValue skip values for, counted in info.stats.skipped
+const SKIP_REASONS = ["ackFalse", "blockTime", "ignoreZero", "belowThreshold", "aboveThreshold", "unchanged"];
+// why findOrphans reports an object: its state was deleted, its logging disabled, it is missing from the registry
+// or it has several registry rows
+const ORPHAN_REASONS = ["deleted", "disabled", "unregistered", "duplicate"];
+const SPOOL_FILE_NAME = "spool.jsonl";
+const SPOOL_REPLAY_BATCH = 5000;
+const IMPORT_BATCH_SIZE = 5000;
+const IMPORT_FORMATS = ["csv", "json", "jsonl"];
+const IMPORT_DIRECTORY = "imports";
+const IMPORT_TIME_UNITS = ["auto", "ms", "s"];
+// 1e11 ms is March 1973, 1e11 s lies in the year 5138
+const EPOCH_SECONDS_LIMIT = 1e11;
+const CSV_COLUMNS = {
+	id: "id",
+	ts: "ts",
+	timestamp: "ts",
+	time: "ts",
+	val: "val",
+	value: "val",
+	ack: "ack",
+	q: "q",
+	from: "from",
+	lc: "lc",
+};
+const EXPORT_FORMATS = {
+	csv: { format: "CSVWithNames", extension: "csv" },
+	jsonl: { format: "JSONEachRow", extension: "jsonl" },
+	parquet: { format: "Parquet", extension: "parquet" },
+};
+const EXPORT_DIRECTORY = "exports";
+// prefix of the query parameters that carry the IDs of {table:'<id>'} placeholders
+const QUERY_TABLE_PARAM = "queryTable";
+// native settings listed in encryptedNative of io-package.json
+const ENCRYPTED_NATIVE = ["password", "clientKey", "readPassword"];
+const ENCRYPTED_PREFIX = "$/aes-192-cbc:";
+const DAY_MS = 24 * 3600 * 1000;
+const DEFAULT_RAW_RETENTION_DAYS = 90;
+const DEFAULT_HOURLY_RETENTION_DAYS = 730;
+const HISTORY_AGGREGATES = [
+	"none",
+	"onchange",
+	"minmax",
+	"min",
+	"max",
+	"average",
+	"total",
+	"count",
+	"first",
+	"last",
+	"percentile",
+	"quantile",
+	"integral",
+	"rate",
+	"switches",
+	"distribution",
+];
+const NUMERIC_AGGREGATES = new Set(["minmax", "min", "max", "average", "total", "percentile", "quantile", "integral", "rate"]);
+// a counter reading below this share of the previous one is a reset or a new meter, smaller drops are jitter
+const COUNTER_RESET_RATIO = 0.9;
+// stored as comment of the materialized views, raise it whenever buildTierStateSelect changes what they compute
+const AGGREGATE_VIEW_VERSION = 3;
+// aggregates of booleans and strings, computed from the time each value was held
+const STATE_AGGREGATES = {
+	[VALUE_TYPES.BOOLEAN]: new Set(["average", "integral", "switches"]),
+	[VALUE_TYPES.STRING]: new Set(["distribution", "switches"]),
+};
+// aggregate pipelines per value type, with the suffix of their state tables and views
+const AGGREGATE_KINDS = {
+	[VALUE_TYPES.NUMBER]: "",
+	[VALUE_TYPES.BOOLEAN]: "_bool",
+	[VALUE_TYPES.STRING]: "_enum",
+};
+const AGGREGATE_TIERS = [
+	{
+		name: "hourly",
+		bucketColumn: "hour",
+		bucketType: "DateTime('UTC')",
+		bucketFunction: "toStartOfHour",
+		bucketUnit: "hour",
+		viewPrefix: "mvh_",
+		bucketMs: 3600 * 1000,
+		retentionOption: "hourlyRetentionDays",
+	},
+	{
+		name: "daily",
+		bucketColumn: "day",
+		bucketType: "Date",
+		bucketFunction: "toDate",
+		bucketUnit: "day",
+		zoned: true,
+		viewPrefix: "mv_",
+		bucketMs: DAY_MS,
+		retentionOption: "dailyRetentionDays",
+	},
+	{
+		name: "monthly",
+		bucketColumn: "month",
+		bucketType: "Date",
+		bucketFunction: "toStartOfMonth",
+		bucketUnit: "month",
+		zoned: true,
+		viewPrefix: "mvm_",
+		bucketMs: 31 * DAY_MS,
+		retentionOption: "monthlyRetentionDays",
+	},
+];
+const HISTORY_SOURCES = ["auto", "raw", ...AGGREGATE_TIERS.map(tier => tier.name)];
+const DEFAULT_AGGREGATE_COUNT = 500;
+const DEFAULT_AGGREGATE_RANGE = 7 * DAY_MS;
+// datapoints per UNION ALL query of getHistoryMulti, keeps the query text well below max_query_size
+const HISTORY_BATCH_SIZE = 100;
+const MAX_ALIGNED_POINTS = 100000;
 
 function isAcknowledgedFlag(value) {
 	if (value === true || value === 1) {
@@ -116,12 +258,216 @@ function parseBool(value, defaultValue = false) {
 	return Boolean(value);
 }
 
+/**
+ * Reads a PEM certificate or key that is either pasted into the settings or given as a file path.
+ *
+ * @returns {Buffer | undefined}
+ */
+function readPem(value, label) {
+	const text = String(value ?? "").trim();
+	if (!text) {
+		return undefined;
+	}
+	if (text.startsWith("-----BEGIN")) {
+		return Buffer.from(text);
+	}
+	try {
+		return fs.readFileSync(text);
+	} catch (error) {
+		throw new Error(`Cannot read ${label} from ${text}: ${extractError(error)}`);
+	}
+}
+
+/**
+ * Parses a list of ClickHouse endpoints separated by commas, semicolons or whitespace. Every entry is a host
+ * with an optional port, IPv6 addresses with a port are written in brackets (`[::1]:8123`).
+ *
+ * @returns {{ host: string; port: number }[]}
+ */
+function parseEndpoints(value, defaultPort) {
+	const endpoints = [];
+	for (const entry of String(value ?? "").split(/[\s,;]+/)) {
+		if (!entry) {
+			continue;
+		}
+		const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(entry) || /^([^:]+)(?::(\d+))?$/.exec(entry);
+		const host = match ? match[1] : entry;
+		const port = match?.[2] ? parseInt(match[2], 10) : defaultPort;
+		endpoints.push({ host, port: port > 0 ? port : defaultPort });
+	}
+	return endpoints;
+}
+
+function formatEndpoint(endpoint) {
+	return endpoint.host.includes(":") ? `[${endpoint.host}]:${endpoint.port}` : `${endpoint.host}:${endpoint.port}`;
+}
+
+function parseTimestamp(value) {
+	if (value === undefined || value === null || value === "") {
+		return undefined;
+	}
+	const parsed = typeof value === "number" ? value : new Date(value).getTime();
+	return isNaN(parsed) ? undefined : Math.trunc(parsed);
+}
+
+/**
+ * Timestamps of imported entries. Numbers and numeric strings are epoch milliseconds with `unit` "ms" and
+ * epoch seconds with "s"; with "auto", values below EPOCH_SECONDS_LIMIT are taken as seconds.
+ */
+function parseImportTimestamp(value, unit = "auto") {
+	const text = typeof value === "string" ? value.trim() : "";
+	const numeric = typeof value === "number" ? value : /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : undefined;
+	if (numeric === undefined) {
+		return parseTimestamp(value);
+	}
+	const seconds = unit === "s" || (unit === "auto" && Math.abs(numeric) < EPOCH_SECONDS_LIMIT);
+	return parseTimestamp(seconds ? numeric * 1000 : numeric);
+}
+
+function parseCsvLine(line, delimiter) {
+	const fields = [];
+	let field = "";
+	let quoted = false;
+	for (let index = 0; index < line.length; index++) {
+		const char = line[index];
+		if (quoted) {
+			if (char === '"' && line[index + 1] === '"') {
+				field += '"';
+				index++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			fields.push(field);
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	fields.push(field);
+	return fields;
+}
+
+function parseCsvValue(value) {
+	if (value === undefined || value === "" || value === "null") {
+		return null;
+	}
+	if (value === "true" || value === "false") {
+		return value === "true";
+	}
+	if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value.trim())) {
+		return Number(value);
+	}
+	if (/^[[{]/.test(value)) {
+		try {
+			return JSON.parse(value);
+		} catch (error) {
+			return value;
+		}
+	}
+	return value;
+}
+
 function formatDateTime(ts) {
 	const date = new Date(ts);
 	const iso = date.toISOString();
 	return iso.replace("T", " ").replace("Z", "");
 }
 
+function parseDateTime(value) {
+	return new Date(`${String(value).replace(" ", "T")}Z`).getTime();
+}
+
+/**
+ * The table a materialized view writes into, read from its `create_table_query`.
+ */
+function getViewTarget(definition) {
+	const match = /\sTO\s+(?:`?\w+`?\.)?`?(\w+)`?/.exec(String(definition || ""));
+	return match ? match[1] : "";
+}
+
+function parseTtlDays(engineFull, column = "ts") {
+	const definition = String(engineFull ?? "");
+	const match = new RegExp(`\\bTTL\\s+${column}\\s*\\+\\s*toIntervalDay\\((\\d+)\\)`).exec(definition);
+	if (match) {
+		return Number(match[1]);
+	}
+	// a TTL the adapter did not write is reported as unknown, so it gets replaced by the configured retention
+	return /\bTTL\b/.test(definition) ? -1 : 0;
+}
+
+function getSystemTimezone() {
+	return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function isValidTimezone(timeZone) {
+	// the name ends up in SQL string literals, so only IANA-style names are accepted
+	if (!/^[A-Za-z0-9_+\-/]+$/.test(timeZone)) {
+		return false;
+	}
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+function getTimezoneOffset(ts, timeZone) {
+	const parts = {};
+	const format = new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		hourCycle: "h23",
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+		hour: "2-digit",
+		minute: "2-digit",
+		second: "2-digit",
+	});
+	for (const part of format.formatToParts(new Date(ts))) {
+		parts[part.type] = part.value;
+	}
+	const local = Date.UTC(
+		Number(parts.year),
+		Number(parts.month) - 1,
+		Number(parts.day),
+		Number(parts.hour),
+		Number(parts.minute),
+		Number(parts.second),
+	);
+	return local - Math.floor(ts / 1000) * 1000;
+}
+
+function floorToTierBucket(tier, ts) {
+	const timeZone = tier.timezone || "UTC";
+	if (tier.bucketMs < DAY_MS) {
+		return Math.floor(ts / tier.bucketMs) * tier.bucketMs;
+	}
+	const local = new Date(ts + getTimezoneOffset(ts, timeZone));
+	const wallClock =
+		tier.bucketFunction === "toStartOfMonth"
+			? Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1)
+			: Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+	return wallClock - getTimezoneOffset(wallClock - getTimezoneOffset(wallClock, timeZone), timeZone);
+}
+
+/**
+ * Start of the getHistory step a timestamp falls into, the same buckets stepBucketMs computes in ClickHouse:
+ * steps of whole days start at midnight of the timezone, shorter steps are aligned to the Unix epoch.
+ */
+function floorToStep(ts, step, timeZone) {
+	if (step % DAY_MS !== 0 || timeZone === "UTC") {
+		return Math.floor(ts / step) * step;
+	}
+	const wallClock = Math.floor((ts + getTimezoneOffset(ts, timeZone)) / step) * step;
+	return wallClock - getTimezoneOffset(wallClock - getTimezoneOffset(wallClock, timeZone), timeZone);
+}
+
 function makeComparableKey(value) {
 	if (value === null || value === undefined) {
 		return "__null__";
@@ -140,6 +486,10 @@ function makeComparableKey(value) {
 	}
 }
 
+function makeImportKey(entry) {
+	return `${parseTimestamp(entry.ts)}|${makeComparableKey(entry.val)}|${entry.ack}|${entry.q}|${entry.from}`;
+}
+
 function reduceOnChange(entries) {
 	if (!entries.length) {
 		return entries;
@@ -167,30 +517,95 @@ class Clickhouse extends utils.Adapter {
 		this._buffer = [];
 		this._flushPromise = null;
 		this._bufferTimer = null;
+		this._statsTimer = null;
+		this._stats = {
+			rowsWritten: 0,
+			recentWrites: /** @type {{ ts: number; rows: number }[]} */ ([]),
+			flushDuration: 0,
+			lastFlush: 0,
+			failedFlushes: 0,
+			lastError: "",
+			skipped: Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0])),
+		};
+		this._healthTimer = null;
+		this._reconnectTimer = null;
+		this._reconnectDelay = 0;
+		this._endpointIndex = 0;
+		this._readClient = null;
+		this._connecting = false;
+		this._bootstrapping = false;
+		this._systemTimezone = "";
+		this._unloading = false;
 		this._tracked = new Map();
 		this._subscribeAll = false;
 		this._connected = false;
 		this._tablePrefix = "history";
 		this._registryTable = "";
 		this._registryIdentifier = "";
+		this._wideTable = "";
+		this._wideTableReady = false;
 		this._tableCache = new Map();
-		this._aggregateStateTable = "";
-		this._aggregateStateIdentifier = "";
-		this._aggregateViewTable = "";
-		this._aggregateViewIdentifier = "";
+		this._storageEvolutions = new Map();
+		this._lastSamples = new Map();
+		this._lateSamples = new Map();
+		this._heldIds = new Map();
+		this._aggregateTiers = new Map();
+		this._retimedTiers = new Set();
+		/** @type {Promise<void> | null} */
+		this._retimeRebuild = null;
 		this._materializedViewCache = new Set();
-		/** @type {{ host: string; port: number; secure: boolean; username: string; password: string; database: string; table: string; flushInterval: number; batchSize: number; connectTimeout: number }} */
+		this._tableTtlCache = new Map();
+		this._spool = {
+			file: "",
+			offsetFile: "",
+			maxBytes: 0,
+			offset: 0,
+			rows: 0,
+			bytes: 0,
+			replaying: false,
+			replayed: 0,
+			dropped: 0,
+		};
+		this._import = {
+			running: false,
+			current: "",
+			progress: 0,
+			rows: 0,
+			skipped: 0,
+			previous: new Map(),
+			ranges: new Map(),
+		};
+		/** @type {{ host: string; port: number; endpoints: { host: string; port: number }[]; readEndpoint: { host: string; port: number } | null; readUsername: string; readPassword: string; secure: boolean; username: string; password: string; caCert: string; clientCert: string; clientKey: string; allowSelfSigned: boolean; database: string; table: string; cluster: string; distributedTables: boolean; flushInterval: number; batchSize: number; connectTimeout: number; spoolMaxSize: number; queryTimeout: number; queryMaxRows: number; storageLayout: string; aggregationTimezone: string; rawRetentionDays: number; hourlyRetentionDays: number; dailyRetentionDays: number; monthlyRetentionDays: number }} */
 		this._runtimeOptions = {
 			host: "127.0.0.1",
 			port: 8123,
+			endpoints: [{ host: "127.0.0.1", port: 8123 }],
+			readEndpoint: null,
+			readUsername: "",
+			readPassword: "",
 			secure: false,
 			username: "default",
 			password: "",
+			caCert: "",
+			clientCert: "",
+			clientKey: "",
+			allowSelfSigned: false,
 			database: "iobroker",
 			table: "history",
+			cluster: "",
+			distributedTables: false,
 			flushInterval: 5000,
 			batchSize: 500,
 			connectTimeout: 10000,
+			spoolMaxSize: 50,
+			queryTimeout: 30,
+			queryMaxRows: 10000,
+			storageLayout: "perState",
+			aggregationTimezone: "UTC",
+			rawRetentionDays: DEFAULT_RAW_RETENTION_DAYS,
+			hourlyRetentionDays: DEFAULT_HOURLY_RETENTION_DAYS,
+			dailyRetentionDays: 0,
+			monthlyRetentionDays: 0,
 		};
 		this._defaults = {
 			blockTime: 0,
@@ -203,8 +618,10 @@ class Clickhouse extends utils.Adapter {
 			changesMinDelta: 0,
 			logAckFalse: false,
 			storageType: "auto",
+			retentionDays: null,
 			enableDebugLogs: false,
 			disableSkippedValueLogging: false,
+			counter: false,
 		};
 
 		this.on("ready", this.onReady.bind(this));
@@ -220,52 +637,142 @@ class Clickhouse extends utils.Adapter {
 		const password = this.config.password !== undefined ? String(this.config.password) : "";
 		const database = String(this.config.database ?? "iobroker").trim() || "iobroker";
 		const table = String(this.config.table ?? "history").trim() || "history";
+		const cluster = String(this.config.cluster ?? "").trim();
 		const port = Number(this.config.port ?? this._runtimeOptions.port);
 		const flushInterval = Number(this.config.flushInterval ?? this._runtimeOptions.flushInterval);
 		const batchSize = Number(this.config.batchSize ?? this._runtimeOptions.batchSize);
 		const connectTimeout = Number(this.config.connectTimeout ?? this._runtimeOptions.connectTimeout);
+		const spoolMaxSize = Number(this.config.spoolMaxSize ?? this._runtimeOptions.spoolMaxSize);
+		const queryTimeout = Number(this.config.queryTimeout ?? this._runtimeOptions.queryTimeout);
+		const queryMaxRows = Number(this.config.queryMaxRows ?? this._runtimeOptions.queryMaxRows);
+		const rawRetentionDays = parseInt(String(this.config.rawRetentionDays ?? this._runtimeOptions.rawRetentionDays), 10);
+		const storageLayout = STORAGE_LAYOUTS.includes(this.config.storageLayout)
+			? this.config.storageLayout
+			: this._runtimeOptions.storageLayout;
+		const configuredTimezone = String(this.config.aggregationTimezone ?? "").trim();
+		let aggregationTimezone = configuredTimezone || this._systemTimezone || getSystemTimezone();
+		if (!isValidTimezone(aggregationTimezone)) {
+			this.log.warn(`Unknown aggregation timezone ${aggregationTimezone}, using UTC`);
+			aggregationTimezone = "UTC";
+		}
 
 		this.config.host = host;
 		this.config.username = username;
 		this.config.password = password;
 		this.config.database = database;
 		this.config.table = table;
+		this.config.cluster = cluster;
+		this.config.distributedTables = Boolean(cluster) && parseBool(this.config.distributedTables, false);
 		this.config.secure = parseBool(this.config.secure, false);
+		this.config.allowSelfSigned = parseBool(this.config.allowSelfSigned, false);
 		this.config.port = String(port > 0 ? port : this._runtimeOptions.port);
 		this.config.flushInterval = String(flushInterval > 0 ? flushInterval : this._runtimeOptions.flushInterval);
 		this.config.batchSize = String(batchSize > 0 ? batchSize : this._runtimeOptions.batchSize);
 		this.config.connectTimeout = String(connectTimeout > 0 ? connectTimeout : this._runtimeOptions.connectTimeout);
+		this.config.spoolMaxSize = String(spoolMaxSize >= 0 ? spoolMaxSize : this._runtimeOptions.spoolMaxSize);
+		this.config.queryTimeout = String(queryTimeout > 0 ? queryTimeout : this._runtimeOptions.queryTimeout);
+		this.config.queryMaxRows = String(queryMaxRows > 0 ? queryMaxRows : this._runtimeOptions.queryMaxRows);
+		this.config.rawRetentionDays = String(rawRetentionDays >= 0 ? rawRetentionDays : this._runtimeOptions.rawRetentionDays);
+		this.config.storageLayout = storageLayout;
+		this.config.aggregationTimezone = configuredTimezone;
 
 		this._runtimeOptions.host = host;
 		this._runtimeOptions.username = username;
 		this._runtimeOptions.password = password;
 		this._runtimeOptions.database = database;
 		this._runtimeOptions.table = table;
+		this._runtimeOptions.cluster = cluster;
+		this._runtimeOptions.distributedTables = this.config.distributedTables;
 		this._runtimeOptions.secure = this.config.secure;
+		this._runtimeOptions.caCert = String(this.config.caCert ?? "");
+		this._runtimeOptions.clientCert = String(this.config.clientCert ?? "");
+		this._runtimeOptions.clientKey = String(this.config.clientKey ?? "");
+		this._runtimeOptions.allowSelfSigned = this.config.allowSelfSigned;
 		this._runtimeOptions.port = port > 0 ? port : this._runtimeOptions.port;
+		this._runtimeOptions.endpoints = parseEndpoints(host, this._runtimeOptions.port);
+		this._runtimeOptions.readEndpoint = parseEndpoints(this.config.readHost, this._runtimeOptions.port)[0] || null;
+		this._runtimeOptions.readUsername = String(this.config.readUsername ?? "").trim();
+		this._runtimeOptions.readPassword = String(this.config.readPassword ?? "");
 		this._runtimeOptions.flushInterval = flushInterval > 0 ? flushInterval : this._runtimeOptions.flushInterval;
 		this._runtimeOptions.batchSize = batchSize > 0 ? batchSize : this._runtimeOptions.batchSize;
 		this._runtimeOptions.connectTimeout = connectTimeout > 0 ? connectTimeout : this._runtimeOptions.connectTimeout;
+		this._runtimeOptions.spoolMaxSize = spoolMaxSize >= 0 ? spoolMaxSize : this._runtimeOptions.spoolMaxSize;
+		this._runtimeOptions.queryTimeout = queryTimeout > 0 ? queryTimeout : this._runtimeOptions.queryTimeout;
+		this._runtimeOptions.queryMaxRows = queryMaxRows > 0 ? Math.floor(queryMaxRows) : this._runtimeOptions.queryMaxRows;
+		this._runtimeOptions.storageLayout = storageLayout;
+		this._runtimeOptions.aggregationTimezone = aggregationTimezone;
+		this._runtimeOptions.rawRetentionDays =
+			rawRetentionDays >= 0 ? rawRetentionDays : this._runtimeOptions.rawRetentionDays;
+		for (const tier of AGGREGATE_TIERS) {
+			const key = tier.retentionOption;
+			const days = parseInt(String(this.config[key] ?? this._runtimeOptions[key]), 10);
+			if (days >= 0) {
+				this._runtimeOptions[key] = days;
+			}
+			this.config[key] = String(this._runtimeOptions[key]);
+		}
 
 		this.log.debug(
-			`Parsed adapter config: host=${this._runtimeOptions.host}:${this._runtimeOptions.port}, secure=${this._runtimeOptions.secure}, database=${this._runtimeOptions.database}, tablePrefix=${this._runtimeOptions.table}, flushInterval=${this._runtimeOptions.flushInterval}, batchSize=${this._runtimeOptions.batchSize}`,
+			`Parsed adapter config: endpoints=${this._runtimeOptions.endpoints.map(formatEndpoint).join(",")}, readEndpoint=${this._runtimeOptions.readEndpoint ? formatEndpoint(this._runtimeOptions.readEndpoint) : "none"}, secure=${this._runtimeOptions.secure}, database=${this._runtimeOptions.database}, tablePrefix=${this._runtimeOptions.table}, cluster=${this._runtimeOptions.cluster || "none"}, distributedTables=${this._runtimeOptions.distributedTables}, flushInterval=${this._runtimeOptions.flushInterval}, batchSize=${this._runtimeOptions.batchSize}, spoolMaxSize=${this._runtimeOptions.spoolMaxSize}MB, queryTimeout=${this._runtimeOptions.queryTimeout}s, queryMaxRows=${this._runtimeOptions.queryMaxRows}, storageLayout=${this._runtimeOptions.storageLayout}, aggregationTimezone=${this._runtimeOptions.aggregationTimezone}, rawRetentionDays=${this._runtimeOptions.rawRetentionDays}, aggregateRetentionDays=${AGGREGATE_TIERS.map(tier => `${tier.name}:${this._runtimeOptions[tier.retentionOption]}`).join("/")}`,
 		);
 	}
 
 	async onReady() {
 		try {
+			if (await this.encryptPlainSecrets()) {
+				return;
+			}
+			await this.loadSystemTimezone();
 			this.parseAdapterConfig();
+			if (!this.config.aggregationTimezone && !this._systemTimezone && this._runtimeOptions.aggregationTimezone === "UTC") {
+				this.log.warn(
+					"Neither the instance settings nor the system configuration name a timezone and the host runs in UTC, daily and monthly aggregates use UTC days; set the aggregation timezone if that is not intended",
+				);
+			}
 			await this.ensureInfoObjects();
+			await this.initializeSpool().catch(error => {
+				this.log.warn(`Cannot initialize spool: ${extractError(error)}`);
+			});
 			await this.ensureDefaultHistoryInstance();
-			await this.connectToClickHouse();
 			await this.initializeTrackedDatapoints();
 			this.subscribeForeignObjects("*");
+			this.startFlushTimer();
+			this.startStatsTimer();
+			await this.establishConnection();
 			this.log.info("ClickHouse adapter ready");
 		} catch (error) {
 			this.log.error(`Failed to start adapter: ${extractError(error)}`);
 		}
 	}
 
+	/**
+	 * Older versions stored the password and client key in plain text. The controller decrypts the encrypted
+	 * native settings anyway, so plain values are encrypted once in the instance object; changing it restarts
+	 * the adapter.
+	 *
+	 * @returns {Promise<boolean>} whether the instance object was changed
+	 */
+	async encryptPlainSecrets() {
+		const objectId = `system.adapter.${this.namespace}`;
+		const instance = await this.getForeignObjectAsync(objectId);
+		if (!instance?.native) {
+			return false;
+		}
+		const native = {};
+		for (const key of ENCRYPTED_NATIVE) {
+			const value = instance.native[key];
+			if (typeof value === "string" && value && !value.startsWith(ENCRYPTED_PREFIX)) {
+				native[key] = this.encrypt(value);
+			}
+		}
+		if (!Object.keys(native).length) {
+			return false;
+		}
+		this.log.info(`Encrypting the stored ${Object.keys(native).join(", ")}, the adapter restarts`);
+		await this.extendForeignObjectAsync(objectId, { native });
+		return true;
+	}
+
 	async ensureInfoObjects() {
 		await this.setObjectNotExistsAsync("info", {
 			type: "channel",
@@ -291,6 +798,145 @@ class Clickhouse extends utils.Adapter {
 		await this.setStateAsync("info.connection", false, true).catch(error => {
 			this.log.debug(`Cannot initialize info.connection: ${extractError(error)}`);
 		});
+
+		/** @type {Record<string, Omit<ioBroker.StateCommon, "read" | "write">>} */
+		const endpointStates = {
+			endpoint: { name: "ClickHouse endpoint used for writes", type: "string", role: "text", def: "" },
+			readEndpoint: { name: "ClickHouse endpoint used for reads", type: "string", role: "text", def: "" },
+		};
+		for (const [key, common] of Object.entries(endpointStates)) {
+			await this.setObjectNotExistsAsync(`info.${key}`, {
+				type: "state",
+				common: {
+					...common,
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+		}
+
+		await this.setObjectNotExistsAsync("info.spool", {
+			type: "channel",
+			common: {
+				name: "Persistent write spool",
+			},
+			native: {},
+		});
+		/** @type {Record<string, Omit<ioBroker.StateCommon, "read" | "write">>} */
+		const spoolStates = {
+			rows: { name: "Spooled rows waiting for ClickHouse", type: "number", role: "value", def: 0 },
+			bytes: { name: "Spool size", type: "number", role: "value", unit: "bytes", def: 0 },
+			replaying: { name: "Spool replay running", type: "boolean", role: "indicator.working", def: false },
+			replayed: { name: "Rows replayed in the current or last replay", type: "number", role: "value", def: 0 },
+			dropped: { name: "Rows dropped because the spool was full", type: "number", role: "value", def: 0 },
+		};
+		for (const [key, common] of Object.entries(spoolStates)) {
+			await this.setObjectNotExistsAsync(`info.spool.${key}`, {
+				type: "state",
+				common: {
+					...common,
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+		}
+
+		await this.setObjectNotExistsAsync("info.stats", {
+			type: "channel",
+			common: {
+				name: "Write statistics since the adapter start",
+			},
+			native: {},
+		});
+		/** @type {Record<string, Omit<ioBroker.StateCommon, "read" | "write">>} */
+		const statsStates = {
+			bufferLength: { name: "Rows buffered for the next flush", type: "number", role: "value", def: 0 },
+			rowsWritten: { name: "Rows written", type: "number", role: "value", def: 0 },
+			rowsPerMinute: { name: "Rows written in the last minute", type: "number", role: "value", unit: "rows/min", def: 0 },
+			flushDuration: { name: "Duration of the last successful flush", type: "number", role: "value.interval", unit: "ms", def: 0 },
+			lastFlush: { name: "Time of the last successful flush", type: "number", role: "value.time", def: 0 },
+			failedFlushes: { name: "Failed flushes", type: "number", role: "value", def: 0 },
+			lastError: { name: "Error of the last failed flush", type: "string", role: "text", def: "" },
+			trackedDatapoints: { name: "Datapoints with history enabled", type: "number", role: "value", def: 0 },
+		};
+		/** @type {Record<string, string>} */
+		const skipNames = {
+			ackFalse: "Values skipped because ack is false",
+			blockTime: "Values skipped within the block time",
+			ignoreZero: "Zero or null values skipped",
+			belowThreshold: "Values skipped below the minimum",
+			aboveThreshold: "Values skipped above the maximum",
+			unchanged: "Unchanged values skipped",
+		};
+		await this.setObjectNotExistsAsync("info.stats.skipped", {
+			type: "channel",
+			common: {
+				name: "Skipped values per reason",
+			},
+			native: {},
+		});
+		for (const reason of SKIP_REASONS) {
+			statsStates[`skipped.${reason}`] = { name: skipNames[reason], type: "number", role: "value", def: 0 };
+		}
+		for (const [key, common] of Object.entries(statsStates)) {
+			await this.setObjectNotExistsAsync(`info.stats.${key}`, {
+				type: "state",
+				common: {
+					...common,
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+		}
+
+		await this.setObjectNotExistsAsync("info.import", {
+			type: "channel",
+			common: {
+				name: "History import",
+			},
+			native: {},
+		});
+		/** @type {Record<string, Omit<ioBroker.StateCommon, "read" | "write">>} */
+		const importStates = {
+			running: { name: "Import running", type: "boolean", role: "indicator.working", def: false },
+			current: { name: "Datapoint being imported", type: "string", role: "text", def: "" },
+			progress: { name: "Import progress", type: "number", role: "value", unit: "%", def: 0 },
+			rows: { name: "Rows imported by the current or last import", type: "number", role: "value", def: 0 },
+			skipped: { name: "Values skipped by the current or last import", type: "number", role: "value", def: 0 },
+		};
+		for (const [key, common] of Object.entries(importStates)) {
+			await this.setObjectNotExistsAsync(`info.import.${key}`, {
+				type: "state",
+				common: {
+					...common,
+					read: true,
+					write: false,
+				},
+				native: {},
+			});
+		}
+	}
+
+	/**
+	 * The timezone of the ioBroker installation from system.config. The timezone of the adapter process, often
+	 * UTC in containers, is only the fallback when the system configuration names none.
+	 */
+	async loadSystemTimezone() {
+		this._systemTimezone = "";
+		try {
+			const systemConfig = /** @type {any} */ (await this.getForeignObjectAsync("system.config"));
+			const timezone = String(systemConfig?.common?.timezone || systemConfig?.common?.timeZone || "").trim();
+			if (timezone && isValidTimezone(timezone)) {
+				this._systemTimezone = timezone;
+			} else if (timezone) {
+				this.log.warn(`Unknown timezone ${timezone} in the system configuration`);
+			}
+		} catch (error) {
+			this.log.debug(`Could not read the system timezone: ${extractError(error)}`);
+		}
 	}
 
 	async ensureDefaultHistoryInstance() {
@@ -310,6 +956,93 @@ class Clickhouse extends utils.Adapter {
 		return `\`${String(identifier).replace(/`/g, "``")}\``;
 	}
 
+	quoteLiteral(value) {
+		return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+	}
+
+	/**
+	 * ON CLUSTER clause of DDL statements and mutations, empty on a single server.
+	 */
+	onCluster() {
+		const cluster = this._runtimeOptions.cluster;
+		return cluster ? ` ON CLUSTER ${this.quoteIdent(cluster)}` : "";
+	}
+
+	/**
+	 * Table engine, replicated on a cluster. The replicated engines are created without ZooKeeper path and replica
+	 * name, so the server's `default_replica_path` and `default_replica_name` apply, by default
+	 * `/clickhouse/tables/{uuid}/{shard}` and `{replica}`.
+	 */
+	tableEngine(engine, args = "") {
+		return `${this._runtimeOptions.cluster ? `Replicated${engine}` : engine}(${args})`;
+	}
+
+	/**
+	 * Mutations wait for all replicas on a cluster, a following read may go to any of them.
+	 */
+	mutationSettings() {
+		return { mutations_sync: this._runtimeOptions.cluster ? "2" : "1" };
+	}
+
+	/**
+	 * Table that reads and inserts go to: the Distributed table in front of a local table, or the table itself.
+	 * DDL statements, mutations and materialized views always use the local table.
+	 */
+	getDataTable(tableName) {
+		return this._runtimeOptions.distributedTables ? `${tableName}${DISTRIBUTED_SUFFIX}` : tableName;
+	}
+
+	getDataIdentifier(tableName) {
+		return this.quoteIdent(this.getDataTable(tableName));
+	}
+
+	/**
+	 * Creates the Distributed table in front of a local table. `replace` recreates it after the columns of the
+	 * local table changed; a Distributed table holds no data, inserts are sent to the shards synchronously.
+	 */
+	async ensureDistributedTable(tableName, shardingKey, replace = false) {
+		if (!this._client || !this._runtimeOptions.distributedTables) {
+			return;
+		}
+		await this._client.command({
+			query: `CREATE ${replace ? "OR REPLACE TABLE" : "TABLE IF NOT EXISTS"} ${this.getDataIdentifier(tableName)}${this.onCluster()}
+AS ${this.quoteIdent(tableName)}
+ENGINE = Distributed(${this.quoteLiteral(this._runtimeOptions.cluster)}, ${this.quoteLiteral(this._runtimeOptions.database)}, ${this.quoteLiteral(tableName)}, ${shardingKey})`,
+		});
+	}
+
+	/**
+	 * Runs an ALTER TABLE that changes columns on a local table and on the Distributed table in front of it.
+	 */
+	async alterTableColumns(tableName, clauses, clickhouseSettings) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const tables = [this.quoteIdent(tableName)];
+		if (this._runtimeOptions.distributedTables) {
+			tables.push(this.getDataIdentifier(tableName));
+		}
+		for (const identifier of tables) {
+			await this._client.command({
+				query: `ALTER TABLE ${identifier}${this.onCluster()} ${clauses}`,
+				...(clickhouseSettings ? { clickhouse_settings: clickhouseSettings } : {}),
+			});
+		}
+	}
+
+	/**
+	 * Drops a table or view on every node; for a local table the Distributed table in front of it goes as well.
+	 */
+	async dropTable(tableName, kind = "TABLE") {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		if (kind === "TABLE" && this._runtimeOptions.distributedTables) {
+			await this._client.command({ query: `DROP TABLE IF EXISTS ${this.getDataIdentifier(tableName)}${this.onCluster()}` });
+		}
+		await this._client.command({ query: `DROP ${kind} IF EXISTS ${this.quoteIdent(tableName)}${this.onCluster()}` });
+	}
+
 	sanitizeTablePrefix(name) {
 		if (!name) {
 			return "history";
@@ -343,9 +1076,19 @@ class Clickhouse extends utils.Adapter {
 	}
 
 	isTableNameInUse(name, id) {
+		if (name === this._wideTable) {
+			return true;
+		}
+		if (this._runtimeOptions.distributedTables && name.endsWith(DISTRIBUTED_SUFFIX)) {
+			// reserved for the Distributed tables
+			return true;
+		}
 		for (const existingId of Array.from(this._tableCache.keys())) {
 			const info = this._tableCache.get(existingId);
-			if (info && info.table === name && existingId !== id) {
+			if (!info || existingId === id) {
+				continue;
+			}
+			if (info.table === name || (info.generations || []).some(generation => generation.table === name)) {
 				return true;
 			}
 		}
@@ -374,8 +1117,7 @@ class Clickhouse extends utils.Adapter {
 		return candidate;
 	}
 
-	generateMaterializedViewName(tableName) {
-		const prefix = "mv_";
+	generateMaterializedViewName(tableName, prefix = "mv_") {
 		const maxIdentifierLength = 62;
 		const base = `${prefix}${tableName}`;
 		if (base.length <= maxIdentifierLength) {
@@ -403,146 +1145,764 @@ class Clickhouse extends utils.Adapter {
 		if (!this._client) {
 			return;
 		}
-		const query = `CREATE TABLE IF NOT EXISTS ${this._registryIdentifier} (
+		const query = `CREATE TABLE IF NOT EXISTS ${this._registryIdentifier}${this.onCluster()} (
 	 id String,
 	 table String,
 	 type String,
+	 generations String DEFAULT '[]',
 	 updated DateTime64(3, 'UTC')
 )
-ENGINE = ReplacingMergeTree(updated)
+ENGINE = ${this.tableEngine("ReplacingMergeTree", "updated")}
 ORDER BY id`;
 		await this._client.command({ query });
+		await this._client.command({
+			query: `ALTER TABLE ${this._registryIdentifier}${this.onCluster()} ADD COLUMN IF NOT EXISTS generations String DEFAULT '[]' AFTER type`,
+		});
+		// all versions of an entry have to be on one shard for FINAL to replace them
+		await this.ensureDistributedTable(this._registryTable, "cityHash64(id)");
+	}
+
+	/**
+	 * Builds the cached table info from a registry row. `generations` lists the tables that held the
+	 * datapoint before its storage type changed, oldest first.
+	 *
+	 * @returns {{ table: string; type: string; generations?: { table: string; type: string }[] }}
+	 */
+	parseRegistryRow(row) {
+		const info = { table: String(row.table), type: String(row.type) };
+		try {
+			const generations = JSON.parse(row.generations || "[]");
+			if (Array.isArray(generations) && generations.length) {
+				info.generations = generations.filter(generation => generation?.table && generation?.type);
+			}
+		} catch (error) {
+			this.log.warn(`Ignoring invalid storage generations of ${row.id}: ${extractError(error)}`);
+		}
+		return info;
+	}
+
+	getAggregateTier(name) {
+		return this._aggregateTiers.get(name) || null;
+	}
+
+	/**
+	 * State table and view of a tier that hold the aggregates of a value type.
+	 *
+	 * @returns {{ stateTable: string; stateIdentifier: string; viewTable: string; viewIdentifier: string }}
+	 */
+	getTierTables(tier, type) {
+		return tier.tables[type] || tier.tables[VALUE_TYPES.NUMBER];
+	}
+
+	/**
+	 * Value types of a datapoint that have aggregates, including those of older storage generations.
+	 *
+	 * @returns {string[]}
+	 */
+	getAggregateTypes(tableInfo) {
+		const types = this.getRawGenerations(tableInfo).map(generation => generation.type);
+		return Array.from(new Set(types)).filter(type => this.supportsContinuousAggregation(type));
 	}
 
 	async ensureAggregateInfrastructure() {
 		if (!this._client) {
 			return;
 		}
-		this._aggregateStateTable = `${this._tablePrefix}_daily_state`;
-		this._aggregateStateIdentifier = this.quoteIdent(this._aggregateStateTable);
-		this._aggregateViewTable = `${this._tablePrefix}_daily`;
-		this._aggregateViewIdentifier = this.quoteIdent(this._aggregateViewTable);
-
-		const stateQuery = `CREATE TABLE IF NOT EXISTS ${this._aggregateStateIdentifier} (
-	 id String,
-	 day Date,
-	 min_state AggregateFunction(min, Float64),
-	 max_state AggregateFunction(max, Float64),
-	 avg_state AggregateFunction(avg, Float64),
-	 last_state AggregateFunction(argMax, Float64, DateTime64(3, 'UTC')),
-	 count_state AggregateFunction(count),
-	 sum_state AggregateFunction(sum, Float64),
-	 integral_state AggregateFunction(sum, Float64),
-	 updated DateTime DEFAULT now()
-)
-ENGINE = AggregatingMergeTree()
-ORDER BY (id, day)`;
-		await this._client.command({ query: stateQuery });
-
-		const viewQuery = `CREATE OR REPLACE VIEW ${this._aggregateViewIdentifier} AS
-SELECT
-	id,
-	day,
-	minMerge(min_state) AS min,
-	maxMerge(max_state) AS max,
-	avgMerge(avg_state) AS avg,
-	argMaxMerge(last_state) AS last,
-	countMerge(count_state) AS samples,
-	sumMerge(sum_state) AS sum,
-	sumMerge(integral_state) AS integral_kwh,
-	max(updated) AS updated
-FROM ${this._aggregateStateIdentifier}
-GROUP BY id, day`;
-		await this._client.command({ query: viewQuery });
+		this._aggregateTiers.clear();
+		for (const definition of AGGREGATE_TIERS) {
+			const tables = {};
+			for (const [type, suffix] of Object.entries(AGGREGATE_KINDS)) {
+				const stateTable = `${this._tablePrefix}_${definition.name}${suffix}_state`;
+				const viewTable = `${this._tablePrefix}_${definition.name}${suffix}`;
+				tables[type] = {
+					stateTable,
+					stateIdentifier: this.quoteIdent(stateTable),
+					viewTable,
+					viewIdentifier: this.quoteIdent(viewTable),
+				};
+			}
+			const tier = {
+				...definition,
+				timezone: definition.zoned ? this._runtimeOptions.aggregationTimezone : "UTC",
+				// the numeric tables stay reachable directly, they are the ones most code paths work with
+				...tables[VALUE_TYPES.NUMBER],
+				tables,
+			};
+			await this.ensureAggregateTier(tier);
+			this._aggregateTiers.set(tier.name, tier);
+		}
 
+		await this.detectRetimedTiers();
 		await this.loadMaterializedViewCache();
 	}
 
-	async loadMaterializedViewCache() {
-		this._materializedViewCache.clear();
-		if (!this._client) {
+	/**
+	 * Compares the timezone recorded in the comment of the state tables with the configured one. Tables without
+	 * a comment were written by versions that always used UTC. A comment without `deltas=1` marks tables created
+	 * before they kept the counter consumption: their older buckets hold none, which is logged once together
+	 * with how to rebuild them.
+	 */
+	async detectRetimedTiers() {
+		this._retimedTiers.clear();
+		const tiers = Array.from(this._aggregateTiers.values());
+		if (!this._client || !tiers.length) {
 			return;
 		}
 		try {
 			const result = await this._client.query({
-				query: `SELECT name FROM system.tables WHERE database = {db:String} AND engine = 'MaterializedView'`,
+				query: `SELECT name, comment FROM system.tables WHERE database = {db:String} AND name IN {names:Array(String)}`,
 				format: "JSONEachRow",
 				query_params: {
 					db: this._runtimeOptions.database,
+					names: tiers.map(tier => tier.stateTable),
 				},
 			});
-			const rows = await result.json();
-			for (const row of rows) {
-				if (row?.name) {
-					this._materializedViewCache.add(String(row.name));
+			const comments = new Map();
+			for (const row of await result.json()) {
+				comments.set(String(row.name), String(row.comment || ""));
+			}
+			const withoutDeltas = [];
+			for (const tier of tiers) {
+				const comment = comments.get(tier.stateTable) || "";
+				const recorded = /\btimezone=(\S+)/.exec(comment)?.[1] || "UTC";
+				if (recorded !== tier.timezone) {
+					this.log.info(`The ${tier.name} aggregates use ${recorded}, switching them to ${tier.timezone}`);
+					this._retimedTiers.add(tier.name);
+				} else if (!/\bdeltas=1\b/.test(comment)) {
+					withoutDeltas.push(tier);
+				}
+			}
+			if (withoutDeltas.length) {
+				this.log.info(
+					`The ${withoutDeltas.map(tier => tier.name).join(" and ")} aggregates were written before they kept the counter consumption; send rebuildAggregates for the counter datapoints to fill in their older buckets`,
+				);
+				// the rebuild of a retimed tier records the comment itself
+				for (const tier of withoutDeltas) {
+					await this.writeTierComment(tier);
 				}
 			}
 		} catch (error) {
-			this.log.debug(`Could not load materialized view cache: ${extractError(error)}`);
+			this.log.debug(`Could not read the timezone of the aggregate tiers: ${extractError(error)}`);
 		}
 	}
 
-	async loadTableRegistry() {
-		this._tableCache.clear();
-		if (!this._client) {
+	/**
+	 * Recomputes the tiers whose timezone changed for all aggregated datapoints, then records the new timezone.
+	 * Buckets before the raw retention window cannot be recomputed and keep their old day boundaries.
+	 */
+	async rebuildRetimedTiers() {
+		const tiers = Array.from(this._retimedTiers).map(name => this.getAggregateTier(name)).filter(Boolean);
+		if (!this._client || !tiers.length) {
 			return;
 		}
-		try {
-			const result = await this._client.query({
-				query: `SELECT id, table, type FROM ${this._registryIdentifier} FINAL`,
-				format: "JSONEachRow",
-			});
-			const rows = await result.json();
-			for (const row of rows) {
-				if (row.id && row.table && row.type) {
-					this._tableCache.set(row.id, { table: row.table, type: row.type });
-				}
+		const ids = Array.from(this._tableCache.keys()).filter(id =>
+			this.supportsContinuousAggregation(this._tableCache.get(id)?.type),
+		);
+		this.log.info(`Rebuilding the ${tiers.map(tier => tier.name).join(" and ")} aggregates of ${ids.length} datapoints`);
+		for (const id of ids) {
+			const info = this._tableCache.get(id);
+			if (info) {
+				await this.rebuildAggregatesFor(id, info, undefined, undefined, tiers);
 			}
-		} catch (error) {
-			this.log.debug(`Registry load skipped: ${extractError(error)}`);
 		}
+		for (const tier of tiers) {
+			await this.writeTierComment(tier);
+			this._retimedTiers.delete(tier.name);
+		}
+		this.log.info("Finished rebuilding the aggregates for the new timezone");
 	}
 
-	async ensureTableFor(id, valueType) {
-		let info = this._tableCache.get(id);
-		if (info) {
-			return info;
+	async writeTierComment(tier) {
+		if (!this._client) {
+			return;
 		}
-		const client = this._client;
-		if (!client) {
-			throw new Error("Not connected to ClickHouse");
+		for (const tables of Object.values(tier.tables)) {
+			await this._client.command({
+				query: `ALTER TABLE ${tables.stateIdentifier}${this.onCluster()} MODIFY COMMENT ${this.quoteTierComment(tier)}`,
+			});
 		}
-		const tableName = this.generateTableName(id);
-		const tableIdentifier = this.quoteIdent(tableName);
-		const columnConfig = this.getColumnConfig(valueType);
-		await client.command({
-			query: `CREATE TABLE IF NOT EXISTS ${tableIdentifier} (
-	 ts DateTime64(3, 'UTC'),
-	 value ${columnConfig.columnType}
+	}
+
+	getViewComment() {
+		return `version=${AGGREGATE_VIEW_VERSION}`;
+	}
+
+	quoteTierComment(tier) {
+		return `'timezone=${tier.timezone} deltas=1'`;
+	}
+
+	/**
+	 * SQL for the bucket of `expression` in a tier, daily and monthly buckets follow the aggregation timezone.
+	 * getHistory uses its step as a tier, with the step start in milliseconds as bucket.
+	 */
+	tierBucket(tier, expression) {
+		if (tier.step) {
+			return this.stepBucketMs(expression, tier.step);
+		}
+		return `${tier.bucketFunction}(${expression}, '${tier.timezone}')`;
+	}
+
+	/**
+	 * SQL for the instant a bucket value of a tier starts at.
+	 */
+	tierBucketStart(tier, expression) {
+		return `toDateTime(${expression}, '${tier.timezone}')`;
+	}
+
+	/**
+	 * SQL for the instant a bucket value of a tier starts at, in epoch milliseconds. Buckets of getHistory steps
+	 * already are milliseconds.
+	 */
+	tierBucketStartMs(tier, expression) {
+		return tier.step ? expression : `toInt64(toUnixTimestamp(${this.tierBucketStart(tier, expression)})) * 1000`;
+	}
+
+	/**
+	 * SQL for the bucket `offset` buckets before the bucket value `expression` of a tier.
+	 */
+	tierBucketBefore(tier, expression, offset) {
+		if (!tier.step) {
+			return `date_sub(${tier.bucketUnit}, ${offset}, ${expression})`;
+		}
+		const timezone = this._runtimeOptions.aggregationTimezone;
+		if (tier.step % DAY_MS === 0 && timezone !== "UTC") {
+			const day = `date_sub(day, ${offset} * ${tier.step / DAY_MS}, toDate(fromUnixTimestamp64Milli(${expression}), '${timezone}'))`;
+			return `toInt64(toUnixTimestamp(toDateTime(${day}, '${timezone}'))) * 1000`;
+		}
+		return `${expression} - toInt64(${offset}) * toInt64({step:UInt64})`;
+	}
+
+	/**
+	 * SQL for the number of buckets from the bucket value `from` to the bucket value `to` of a tier.
+	 */
+	tierBucketDistance(tier, from, to) {
+		if (!tier.step) {
+			return `dateDiff('${tier.bucketUnit}', ${from}, ${to})`;
+		}
+		const timezone = this._runtimeOptions.aggregationTimezone;
+		if (tier.step % DAY_MS === 0 && timezone !== "UTC") {
+			const day = expression => `toDate(fromUnixTimestamp64Milli(${expression}), '${timezone}')`;
+			return `intDiv(dateDiff('day', ${day(from)}, ${day(to)}), ${tier.step / DAY_MS})`;
+		}
+		return `intDiv(${to} - ${from}, toInt64({step:UInt64}))`;
+	}
+
+	/**
+	 * Consumption since the previous reading of a cumulative counter: the increase, or after a reset or a meter
+	 * replacement the new reading, counted from zero. Drops of less than COUNTER_RESET_RATIO are jitter and count
+	 * as negative consumption, which the increase back to the earlier reading nets out; counting them as zero
+	 * would add that increase again. The first reading has no predecessor and counts as none.
+	 */
+	counterDelta(value, previous) {
+		const last = `ifNull(${previous}, ${value})`;
+		return `if(${value} < ${last} * ${COUNTER_RESET_RATIO}, ${value}, ${value} - ${last})`;
+	}
+
+	/**
+	 * SQL for the start of the getHistory step containing `expression`, in epoch milliseconds. Steps of whole
+	 * days start at midnight of the aggregation timezone, shorter steps are aligned to the epoch.
+	 */
+	stepBucketMs(expression, step) {
+		const timezone = this._runtimeOptions.aggregationTimezone;
+		if (step % DAY_MS === 0 && timezone !== "UTC") {
+			return `toInt64(toUnixTimestamp(toDateTime(toStartOfInterval(${expression}, toIntervalDay(${step / DAY_MS}), '${timezone}'), '${timezone}'))) * 1000`;
+		}
+		return `toUnixTimestamp64Milli(toDateTime64(toStartOfInterval(${expression}, toIntervalMillisecond({step:UInt64})), 3))`;
+	}
+
+	async ensureAggregateTier(tier) {
+		if (!this._client) {
+			return;
+		}
+		const bucket = tier.bucketColumn;
+		const retentionDays = this._runtimeOptions[tier.retentionOption];
+		const engine = orderBy => `ENGINE = ${this.tableEngine("AggregatingMergeTree")}
+ORDER BY (${orderBy})${retentionDays > 0 ? `\nTTL ${bucket} + INTERVAL ${retentionDays} DAY DELETE` : ""}\nCOMMENT ${this.quoteTierComment(tier)}`;
+		const numeric = this.getTierTables(tier, VALUE_TYPES.NUMBER);
+		await this._client.command({
+			query: `CREATE TABLE IF NOT EXISTS ${numeric.stateIdentifier}${this.onCluster()} (
+	 id String,
+	 ${bucket} ${tier.bucketType},
+	 min_state AggregateFunction(min, Float64),
+	 max_state AggregateFunction(max, Float64),
+	 avg_state AggregateFunction(avg, Float64),
+	 last_state AggregateFunction(argMax, Float64, DateTime64(3, 'UTC')),
+	 count_state AggregateFunction(count),
+	 sum_state AggregateFunction(sum, Float64),
+	 integral_state AggregateFunction(sum, Float64),
+	 delta_state AggregateFunction(sum, Float64),
+	 updated DateTime DEFAULT now()
+)
+${engine(`id, ${bucket}`)}`,
+		});
+		await this.ensureDistributedTable(numeric.stateTable, "cityHash64(id)");
+		// state tables of older versions keep no counter deltas, detectRetimedTiers logs how to fill them in
+		await this.alterTableColumns(
+			numeric.stateTable,
+			"ADD COLUMN IF NOT EXISTS delta_state AggregateFunction(sum, Float64) AFTER integral_state",
+		);
+		await this._client.command({
+			query: `CREATE OR REPLACE VIEW ${numeric.viewIdentifier}${this.onCluster()} AS
+SELECT
+	id,
+	${bucket},
+	${this.tierBucketStart(tier, bucket)} AS period_start,
+	minMerge(min_state) AS min,
+	maxMerge(max_state) AS max,
+	avgMerge(avg_state) AS avg,
+	argMaxMerge(last_state) AS last,
+	countMerge(count_state) AS samples,
+	sumMerge(sum_state) AS sum,
+	sumMerge(integral_state) AS integral_kwh,
+	sumMerge(delta_state) AS consumption,
+	max(updated) AS updated
+FROM ${this.getDataIdentifier(numeric.stateTable)}
+GROUP BY id, ${bucket}`,
+		});
+
+		// durations are milliseconds, a boolean counts as on while it is true
+		const boolean = this.getTierTables(tier, VALUE_TYPES.BOOLEAN);
+		await this._client.command({
+			query: `CREATE TABLE IF NOT EXISTS ${boolean.stateIdentifier}${this.onCluster()} (
+	 id String,
+	 ${bucket} ${tier.bucketType},
+	 true_ms_state AggregateFunction(sum, Int64),
+	 known_ms_state AggregateFunction(sum, Int64),
+	 switches_state AggregateFunction(sum, UInt64),
+	 first_state AggregateFunction(argMin, UInt8, DateTime64(3, 'UTC')),
+	 last_state AggregateFunction(argMax, UInt8, DateTime64(3, 'UTC')),
+	 count_state AggregateFunction(count),
+	 updated DateTime DEFAULT now()
+)
+${engine(`id, ${bucket}`)}`,
+		});
+		await this.ensureDistributedTable(boolean.stateTable, "cityHash64(id)");
+		await this._client.command({
+			query: `CREATE OR REPLACE VIEW ${boolean.viewIdentifier}${this.onCluster()} AS
+SELECT
+	id,
+	${bucket},
+	${this.tierBucketStart(tier, bucket)} AS period_start,
+	sumMerge(true_ms_state) AS true_ms,
+	sumMerge(known_ms_state) AS known_ms,
+	if(known_ms > 0, true_ms / known_ms, NULL) AS true_share,
+	sumMerge(switches_state) AS switches,
+	toBool(argMinMerge(first_state)) AS first,
+	toBool(argMaxMerge(last_state)) AS last,
+	countMerge(count_state) AS samples,
+	max(updated) AS updated
+FROM ${this.getDataIdentifier(boolean.stateTable)}
+GROUP BY id, ${bucket}`,
+		});
+
+		// one row per value; entries counts the changes to the value, samples every stored occurrence
+		const strings = this.getTierTables(tier, VALUE_TYPES.STRING);
+		await this._client.command({
+			query: `CREATE TABLE IF NOT EXISTS ${strings.stateIdentifier}${this.onCluster()} (
+	 id String,
+	 ${bucket} ${tier.bucketType},
+	 value String,
+	 duration_state AggregateFunction(sum, Int64),
+	 count_state AggregateFunction(count),
+	 entries_state AggregateFunction(sum, UInt64),
+	 updated DateTime DEFAULT now()
+)
+${engine(`id, ${bucket}, value`)}`,
+		});
+		await this.ensureDistributedTable(strings.stateTable, "cityHash64(id)");
+		await this._client.command({
+			query: `CREATE OR REPLACE VIEW ${strings.viewIdentifier}${this.onCluster()} AS
+SELECT
+	id,
+	${bucket},
+	${this.tierBucketStart(tier, bucket)} AS period_start,
+	value,
+	sumMerge(duration_state) AS duration_ms,
+	duration_ms / nullIf(sum(sumMerge(duration_state)) OVER (PARTITION BY id, ${bucket}), 0) AS share,
+	countMerge(count_state) AS samples,
+	sumMerge(entries_state) AS entries,
+	max(updated) AS updated
+FROM ${this.getDataIdentifier(strings.stateTable)}
+GROUP BY id, ${bucket}, value`,
+		});
+	}
+
+	async loadMaterializedViewCache() {
+		this._materializedViewCache.clear();
+		if (!this._client) {
+			return;
+		}
+		let rows;
+		try {
+			const result = await this._client.query({
+				query: `SELECT name, create_table_query, comment FROM system.tables WHERE database = {db:String} AND engine = 'MaterializedView'`,
+				format: "JSONEachRow",
+				query_params: {
+					db: this._runtimeOptions.database,
+				},
+			});
+			rows = await result.json();
+		} catch (error) {
+			this.log.debug(`Could not load materialized view cache: ${extractError(error)}`);
+			return;
+		}
+		const stateTablesOf = tier => Object.values(tier?.tables || {}).map(tables => tables.stateTable);
+		const stateTables = Array.from(this._aggregateTiers.values()).flatMap(stateTablesOf);
+		const retimedTables = Array.from(this._retimedTiers).flatMap(name => stateTablesOf(this.getAggregateTier(name)));
+		let replaced = 0;
+		for (const row of rows) {
+			if (!row?.name) {
+				continue;
+			}
+			const target = getViewTarget(row.create_table_query);
+			// views created by another version of the pipeline, and views of tiers whose timezone changed and
+			// therefore use the old bucket boundaries, are dropped and recreated
+			const outdated =
+				(stateTables.includes(target) && String(row.comment || "") !== this.getViewComment()) ||
+				retimedTables.includes(target);
+			if (outdated) {
+				try {
+					await this.dropTable(String(row.name), "VIEW");
+					replaced++;
+					continue;
+				} catch (error) {
+					this.log.warn(`Could not replace materialized view ${row.name}: ${extractError(error)}`);
+				}
+			}
+			this._materializedViewCache.add(String(row.name));
+		}
+		if (replaced) {
+			this.log.info(
+				`Replacing ${replaced} outdated materialized views; run rebuildAggregates to recompute older buckets`,
+			);
+		}
+	}
+
+	async loadTableRegistry() {
+		this._tableCache.clear();
+		if (!this._client) {
+			return;
+		}
+		try {
+			const result = await this._client.query({
+				query: `SELECT id, table, type, generations FROM ${this.getDataIdentifier(this._registryTable)} FINAL`,
+				format: "JSONEachRow",
+			});
+			const rows = await result.json();
+			for (const row of rows) {
+				if (row.id && row.table && row.type) {
+					this._tableCache.set(row.id, this.parseRegistryRow(row));
+				}
+			}
+		} catch (error) {
+			this.log.debug(`Registry load skipped: ${extractError(error)}`);
+		}
+	}
+
+	async ensureTableFor(id, valueType) {
+		let info = this._tableCache.get(id);
+		if (info) {
+			return info;
+		}
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		let tableName;
+		if (this._runtimeOptions.storageLayout === "wide") {
+			await this.ensureWideTable();
+			tableName = this._wideTable;
+		} else {
+			tableName = this.generateTableName(id);
+			await this.createRawTable(tableName, valueType, this.resolveRetentionDays(id));
+		}
+		info = { table: tableName, type: valueType };
+		await this.registerTable(id, info);
+		if (this.supportsContinuousAggregation(valueType)) {
+			await this.ensureMaterializedViewFor(id, info);
+		}
+		return info;
+	}
+
+	async createRawTable(tableName, valueType, retentionDays) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		await this._client.command({
+			query: `CREATE TABLE IF NOT EXISTS ${this.quoteIdent(tableName)}${this.onCluster()} (
+	 ts DateTime64(3, 'UTC'),
+	 value ${this.getColumnConfig(valueType).columnType},
+	 ${RAW_METADATA_COLUMNS.map(column => `${this.quoteIdent(column.name)} ${column.definition}`).join(",\n\t ")}
 )
-ENGINE = MergeTree()
-ORDER BY ts
-TTL ts + INTERVAL ${RAW_HISTORY_TTL_DAYS} DAY DELETE`,
+ENGINE = ${this.tableEngine("MergeTree")}
+ORDER BY ts${retentionDays > 0 ? `\nTTL ts + INTERVAL ${retentionDays} DAY DELETE` : ""}`,
 		});
-		await this.ensureRawTableTtl(tableName);
-		await client.insert({
-			table: this._registryTable,
+		await this.ensureDistributedTable(tableName, "rand()");
+		await this.ensureTableTtl(tableName, retentionDays);
+	}
+
+	/**
+	 * Decides whether a value of another type changes the storage type of a datapoint instead of being
+	 * converted to the stored type: tables that only hold nulls adopt the first typed value, and an
+	 * explicit storage type setting wins over the stored type.
+	 */
+	shouldEvolveStorageType(tableInfo, valueType, settings) {
+		if (!tableInfo.table || valueType === VALUE_TYPES.NULL || tableInfo.type === valueType) {
+			return false;
+		}
+		return tableInfo.type === VALUE_TYPES.NULL || settings.storageType === valueType;
+	}
+
+	/**
+	 * Changes the storage type of a datapoint. A per-state table is converted in place if every stored value
+	 * can be cast to the new type; otherwise a new typed table is started and the old one is kept as a
+	 * previous generation that getHistory still reads. In the wide table the new type uses another value column.
+	 */
+	async evolveStorageType(id, tableInfo, valueType) {
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		// buffered rows still carry the old type and have to be written before the column changes
+		await this.flushBuffer(true);
+		this._lastSamples.delete(id);
+		const generations = tableInfo.generations ? [...tableInfo.generations] : [];
+		let table = tableInfo.table;
+		let report;
+		if (this.isWideTable(tableInfo.table)) {
+			const oldColumn = this.getWideValueColumn(tableInfo.type);
+			if (tableInfo.type !== VALUE_TYPES.NULL && oldColumn !== this.getWideValueColumn(valueType)) {
+				generations.push({ table: tableInfo.table, type: tableInfo.type });
+				report = `existing values stay in ${oldColumn}`;
+			} else {
+				report = "no conversion needed";
+			}
+		} else {
+			const { total, failed } = await this.countUnconvertibleValues(tableInfo, valueType);
+			if (!failed) {
+				if (this.supportsContinuousAggregation(tableInfo.type)) {
+					await this.dropMaterializedViewsFor(tableInfo.table);
+				}
+				const columnType = this.getColumnConfig(valueType).columnType;
+				if (this.getColumnConfig(tableInfo.type).columnType !== columnType) {
+					await this.alterTableColumns(
+						tableInfo.table,
+						`MODIFY COLUMN value ${columnType}`,
+						this.mutationSettings(),
+					);
+				}
+				report = `converted ${total} rows in place`;
+			} else {
+				table = this.generateTableName(`${id}.g${generations.length + 1}`);
+				await this.createRawTable(table, valueType, this.resolveRetentionDays(id));
+				generations.push({ table: tableInfo.table, type: tableInfo.type });
+				report = `${failed} of ${total} values cannot be converted, ${tableInfo.table} is kept and new values go to ${table}`;
+			}
+		}
+		const info = generations.length ? { table, type: valueType, generations } : { table, type: valueType };
+		await this.registerTable(id, info);
+		if (this.supportsContinuousAggregation(valueType)) {
+			await this.ensureMaterializedViewFor(id, info);
+		}
+		this.log.info(`Changed storage type of ${id} from ${tableInfo.type} to ${valueType}: ${report}`);
+		return info;
+	}
+
+	async countUnconvertibleValues(tableInfo, valueType) {
+		let convertible;
+		switch (valueType) {
+			case VALUE_TYPES.NUMBER:
+				convertible = "accurateCastOrNull(value, 'Float64') IS NOT NULL";
+				break;
+			case VALUE_TYPES.BOOLEAN:
+				convertible = "accurateCastOrNull(value, 'UInt8') IN (0, 1)";
+				break;
+			default:
+				// strings and JSON accept every value
+				convertible = "1";
+		}
+		const rows = await this.runHistoryQuery(
+			`SELECT count() AS total, countIf(value IS NOT NULL AND NOT ifNull(${convertible}, 0)) AS failed
+			FROM ${this.getDataIdentifier(tableInfo.table)}`,
+			{},
+			this._client,
+		);
+		return { total: Number(rows[0]?.total) || 0, failed: Number(rows[0]?.failed) || 0 };
+	}
+
+	async registerTable(id, info) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		await this._client.insert({
+			table: this.getDataTable(this._registryTable),
 			values: [
 				{
 					id,
-					table: tableName,
-					type: valueType,
+					table: info.table,
+					type: info.type,
+					generations: JSON.stringify(info.generations || []),
 					updated: formatDateTime(Date.now()),
 				},
 			],
 			format: "JSONEachRow",
 		});
-		info = { table: tableName, type: valueType };
 		this._tableCache.set(id, info);
-		if (this.supportsContinuousAggregation(valueType)) {
-			await this.ensureMaterializedViewFor(id, info);
+	}
+
+	isWideTable(tableName) {
+		return Boolean(tableName) && tableName === this._wideTable;
+	}
+
+	isWideTableInUse() {
+		return Array.from(this._tableCache.values()).some(info => this.isWideTable(info.table));
+	}
+
+	getWideValueColumn(type) {
+		return WIDE_VALUE_COLUMNS[type] || "value_string";
+	}
+
+	/**
+	 * Creates the table shared by all datapoints of the wide storage layout. It holds one typed value column
+	 * per value type and is partitioned by month, so migrated data can be attached partition by partition.
+	 */
+	async ensureWideTable() {
+		if (!this._client || this._wideTableReady) {
+			return;
+		}
+		const retentionDays = this._runtimeOptions.rawRetentionDays;
+		const valueColumns = [VALUE_TYPES.NUMBER, VALUE_TYPES.BOOLEAN, VALUE_TYPES.STRING].map(
+			type => `${this.getWideValueColumn(type)} ${this.getColumnConfig(type).columnType}`,
+		);
+		await this._client.command({
+			query: `CREATE TABLE IF NOT EXISTS ${this.quoteIdent(this._wideTable)}${this.onCluster()} (
+	 id LowCardinality(String),
+	 ts DateTime64(3, 'UTC'),
+	 ${valueColumns.join(",\n\t ")},
+	 ${RAW_METADATA_COLUMNS.map(column => `${this.quoteIdent(column.name)} ${column.definition}`).join(",\n\t ")}
+)
+ENGINE = ${this.tableEngine("MergeTree")}
+PARTITION BY toYYYYMM(ts)
+ORDER BY (id, ts)${retentionDays > 0 ? `\nTTL ts + INTERVAL ${retentionDays} DAY DELETE` : ""}`,
+		});
+		await this.ensureDistributedTable(this._wideTable, "cityHash64(id)");
+		await this.ensureTableTtl(this._wideTable, retentionDays);
+		this._wideTableReady = true;
+	}
+
+	/**
+	 * Describes where the raw rows of a datapoint live: its own table, or its slice of the wide table.
+	 * `value` is the expression of the value column, `conditions` restrict the rows to the datapoint.
+	 *
+	 * @param {string} id
+	 * @param {{ table: string; type: string; previous?: boolean; generations?: { table: string; type: string }[] }} tableInfo
+	 * @param {Record<string, unknown>} params query parameters, extended in place
+	 * @param {string} [idParam] name of the id parameter, for queries that read several datapoints
+	 * @returns {{ table: string; value: string; conditions: string[] }}
+	 */
+	getRawSource(id, tableInfo, params, idParam = "rawId") {
+		const table = this.getDataIdentifier(tableInfo.table);
+		if (!this.isWideTable(tableInfo.table)) {
+			return { table, value: "value", conditions: [] };
+		}
+		params[idParam] = String(id);
+		const value = this.getWideValueColumn(tableInfo.type);
+		const conditions = [`id = {${idParam}:String}`];
+		// in the wide table, rows of older generations are the ones with a value in another column
+		if (tableInfo.previous) {
+			conditions.push(`${value} IS NOT NULL`);
+		} else {
+			const others = this.getRawGenerations(tableInfo)
+				.filter(generation => generation.previous && this.isWideTable(generation.table))
+				.map(generation => this.getWideValueColumn(generation.type))
+				.filter(column => column !== value);
+			if (others.length) {
+				conditions.push(`(${value} IS NOT NULL OR (${others.map(column => `${column} IS NULL`).join(" AND ")}))`);
+			}
+		}
+		return { table, value, conditions };
+	}
+
+	/**
+	 * Lists the storage generations of a datapoint, oldest first and ending with the current one. Older
+	 * generations are flagged with `previous`.
+	 *
+	 * @param {{ table: string; type: string; generations?: { table: string; type: string }[] }} tableInfo
+	 * @returns {{ table: string; type: string; previous?: boolean }[]}
+	 */
+	getRawGenerations(tableInfo) {
+		const storageKey = info => `${info.table}/${this.isWideTable(info.table) ? this.getWideValueColumn(info.type) : ""}`;
+		const seen = new Set([storageKey(tableInfo)]);
+		const previous = [];
+		for (const generation of (tableInfo.generations || []).slice().reverse()) {
+			if (!seen.has(storageKey(generation))) {
+				seen.add(storageKey(generation));
+				previous.unshift({ table: generation.table, type: generation.type, previous: true });
+			}
+		}
+		return [...previous, { table: tableInfo.table, type: tableInfo.type }];
+	}
+
+	getRawTables(tableInfo) {
+		return Array.from(new Set(this.getRawGenerations(tableInfo).map(generation => generation.table)));
+	}
+
+	/**
+	 * Buffered and spooled rows always carry a plain `value`; rows for the wide table get the datapoint id
+	 * and the typed value column when they are inserted.
+	 */
+	formatInsertValues(row) {
+		if (!this.isWideTable(row.table)) {
+			return row.values;
+		}
+		const { value, ...values } = row.values;
+		return { id: row.id, ...values, [this.getWideValueColumn(row.type)]: value };
+	}
+
+	/**
+	 * Adds the ack, q, from, lc and prev_* columns to raw tables created before they existed. Tables that already
+	 * have all of them are skipped, so the ALTER statements only run once per table.
+	 */
+	async ensureRawTableColumns() {
+		if (!this._client || !this._tableCache.size) {
+			return;
+		}
+		const presentColumns = new Map();
+		try {
+			const result = await this._client.query({
+				query: `SELECT table, countIf(name IN {columns:Array(String)}) AS present
+FROM system.columns
+WHERE database = {db:String}
+GROUP BY table`,
+				format: "JSONEachRow",
+				query_params: {
+					db: this._runtimeOptions.database,
+					columns: RAW_METADATA_COLUMNS.map(column => column.name),
+				},
+			});
+			for (const row of await result.json()) {
+				presentColumns.set(String(row.table), Number(row.present));
+			}
+		} catch (error) {
+			this.log.debug(`Could not inspect raw table columns: ${extractError(error)}`);
+			return;
+		}
+		const tables = new Set(Array.from(this._tableCache.values()).flatMap(info => this.getRawTables(info)));
+		for (const table of Array.from(tables)) {
+			const present = presentColumns.get(table);
+			if (present === undefined || present === RAW_METADATA_COLUMNS.length) {
+				continue;
+			}
+			const additions = RAW_METADATA_COLUMNS.map(
+				column => `ADD COLUMN IF NOT EXISTS ${this.quoteIdent(column.name)} ${column.definition}`,
+			).join(", ");
+			try {
+				await this.alterTableColumns(table, additions);
+				this.log.info(`Added metadata columns to ${table}`);
+			} catch (error) {
+				this.log.warn(`Could not add metadata columns to ${table}: ${extractError(error)}`);
+			}
 		}
-		return info;
 	}
 
 	async resolveTableInfo(id) {
@@ -555,13 +1915,13 @@ TTL ts + INTERVAL ${RAW_HISTORY_TTL_DAYS} DAY DELETE`,
 		}
 		try {
 			const result = await this._client.query({
-				query: `SELECT id, table, type FROM ${this._registryIdentifier} FINAL WHERE id = {id:String} LIMIT 1`,
+				query: `SELECT id, table, type, generations FROM ${this.getDataIdentifier(this._registryTable)} FINAL WHERE id = {id:String} LIMIT 1`,
 				format: "JSONEachRow",
 				query_params: { id: String(id) },
 			});
 			const rows = await result.json();
 			if (rows.length) {
-				info = { table: rows[0].table, type: rows[0].type };
+				info = this.parseRegistryRow(rows[0]);
 				this._tableCache.set(id, info);
 				return info;
 			}
@@ -572,65 +1932,383 @@ TTL ts + INTERVAL ${RAW_HISTORY_TTL_DAYS} DAY DELETE`,
 	}
 
 	supportsContinuousAggregation(valueType) {
-		return valueType === VALUE_TYPES.NUMBER;
+		return Object.prototype.hasOwnProperty.call(AGGREGATE_KINDS, valueType);
 	}
 
-	async ensureRawTableTtl(tableName) {
+	resolveRetentionDays(id) {
+		const configured = this._tracked.get(id)?.config?.retentionDays;
+		return typeof configured === "number" ? configured : this._runtimeOptions.rawRetentionDays;
+	}
+
+	async loadTableTtlCache() {
+		this._tableTtlCache.clear();
 		if (!this._client) {
 			return;
 		}
-		const identifier = this.quoteIdent(tableName);
-		const query = `ALTER TABLE ${identifier} MODIFY TTL ts + INTERVAL ${RAW_HISTORY_TTL_DAYS} DAY DELETE`;
 		try {
-			await this._client.command({ query });
+			const result = await this._client.query({
+				query: `SELECT name, engine_full FROM system.tables WHERE database = {db:String} AND engine LIKE '%MergeTree'`,
+				format: "JSONEachRow",
+				query_params: {
+					db: this._runtimeOptions.database,
+				},
+			});
+			const rows = await result.json();
+			const ttlColumns = new Map(
+				Array.from(this._aggregateTiers.values()).flatMap(tier =>
+					Object.values(tier.tables).map(tables => [tables.stateTable, tier.bucketColumn]),
+				),
+			);
+			for (const row of rows) {
+				if (row?.name) {
+					const name = String(row.name);
+					this._tableTtlCache.set(name, parseTtlDays(row.engine_full, ttlColumns.get(name) || "ts"));
+				}
+			}
 		} catch (error) {
-			this.log.debug(`Could not enforce TTL for ${tableName}: ${extractError(error)}`);
+			this.log.debug(`Could not load table TTL cache: ${extractError(error)}`);
 		}
 	}
 
-	async ensureMaterializedViewFor(id, info) {
-		if (!this._client || !this.supportsContinuousAggregation(info.type)) {
+	/**
+	 * Aligns the TTL of a raw or aggregate table with the configured retention. 0 days keeps the data forever.
+	 * The table is only altered if its current TTL differs, so restarts do not trigger TTL mutations.
+	 */
+	async ensureTableTtl(tableName, retentionDays, column = "ts") {
+		if (!this._client) {
 			return;
 		}
-		if (!this._aggregateStateTable) {
-			await this.ensureAggregateInfrastructure();
+		const current = this._tableTtlCache.get(tableName);
+		if (current === retentionDays) {
+			return;
 		}
-		const mvName = this.generateMaterializedViewName(info.table);
-		if (this._materializedViewCache.has(mvName)) {
+		const identifier = this.quoteIdent(tableName);
+		let query;
+		if (retentionDays > 0) {
+			query = `ALTER TABLE ${identifier}${this.onCluster()} MODIFY TTL ${column} + INTERVAL ${retentionDays} DAY DELETE`;
+		} else if (current === undefined || current === 0) {
+			this._tableTtlCache.set(tableName, 0);
 			return;
+		} else {
+			query = `ALTER TABLE ${identifier}${this.onCluster()} REMOVE TTL`;
 		}
-		const mvIdentifier = `${this.quoteIdent(mvName)}`;
-		const stateIdentifier = this._aggregateStateIdentifier;
-		const rawIdentifier = `${this.quoteIdent(info.table)}`;
-		const escapedId = String(id).replace(/'/g, "''");
-		const query = `CREATE MATERIALIZED VIEW IF NOT EXISTS ${mvIdentifier}
-TO ${stateIdentifier}
-AS
-SELECT
-	'${escapedId}' AS id,
-	day,
-	minState(val) AS min_state,
-	maxState(val) AS max_state,
-	avgState(val) AS avg_state,
-	argMaxState(val, ts) AS last_state,
-	countState() AS count_state,
-	sumState(val) AS sum_state,
-	sumState(val * duration / 3.6e6) AS integral_state,
+		try {
+			await this._client.command({ query });
+			this._tableTtlCache.set(tableName, retentionDays);
+			this.log.debug(
+				`Set retention of ${tableName} to ${retentionDays > 0 ? `${retentionDays} days` : "keep forever"}`,
+			);
+		} catch (error) {
+			this.log.debug(`Could not enforce TTL for ${tableName}: ${extractError(error)}`);
+		}
+	}
+
+	async applyRetentionPolicies() {
+		if (!this._client) {
+			return;
+		}
+		for (const tier of Array.from(this._aggregateTiers.values())) {
+			for (const tables of Object.values(tier.tables)) {
+				await this.ensureTableTtl(tables.stateTable, this._runtimeOptions[tier.retentionOption], tier.bucketColumn);
+			}
+		}
+		for (const id of Array.from(this._tableCache.keys())) {
+			const info = this._tableCache.get(id);
+			if (!info) {
+				continue;
+			}
+			for (const table of this.getRawTables(info).filter(name => !this.isWideTable(name))) {
+				await this.ensureTableTtl(table, this.resolveRetentionDays(id));
+			}
+		}
+		if (this._wideTableReady) {
+			// the wide table shares one TTL, per-datapoint retention only applies to per-state tables
+			await this.ensureTableTtl(this._wideTable, this._runtimeOptions.rawRetentionDays);
+		}
+	}
+
+	async ensureMaterializedViewFor(id, info) {
+		if (!this._client || !this.supportsContinuousAggregation(info.type)) {
+			return;
+		}
+		if (!this._aggregateTiers.size) {
+			await this.ensureAggregateInfrastructure();
+		}
+		for (const tier of Array.from(this._aggregateTiers.values())) {
+			await this.ensureTierMaterializedView(id, info, tier);
+		}
+	}
+
+	async ensureTierMaterializedView(id, info, tier) {
+		if (!this._client) {
+			return;
+		}
+		const mvName = this.getMaterializedViewName(info.table, tier, info.type);
+		if (this._materializedViewCache.has(mvName)) {
+			return;
+		}
+		const mvIdentifier = `${this.quoteIdent(mvName)}`;
+		const wide = this.isWideTable(info.table);
+		const conditions = [];
+		if (wide && info.type === VALUE_TYPES.STRING) {
+			// JSON values share the string column of the wide table but are not aggregated
+			conditions.push(
+				`id IN (SELECT id FROM ${this.getDataIdentifier(this._registryTable)} FINAL WHERE type = '${VALUE_TYPES.STRING}')`,
+			);
+		}
+		// the wide table needs a single view per value type for all datapoints, grouped per id; on a cluster each
+		// node aggregates the rows inserted into its local table
+		const select = this.buildTierStateSelect(tier, {
+			id: wide ? "id" : `'${String(id).replace(/'/g, "''")}'`,
+			table: this.quoteIdent(info.table),
+			type: info.type,
+			value: wide ? this.getWideValueColumn(info.type) : "value",
+			perId: wide,
+			conditions,
+		});
+		const query = `CREATE MATERIALIZED VIEW IF NOT EXISTS ${mvIdentifier}${this.onCluster()}
+TO ${this.getTierTables(tier, info.type).stateIdentifier}
+AS
+${select}
+COMMENT '${this.getViewComment()}'`;
+		await this._client.command({ query });
+		this._materializedViewCache.add(mvName);
+		this.log.debug(`Ensured ${tier.name} materialized view ${mvName} for ${wide ? info.table : id}`);
+	}
+
+	/**
+	 * A per-state table holds one value type and has one view per tier, the wide table one per tier and value type.
+	 */
+	getMaterializedViewName(tableName, tier, type) {
+		const suffix = this.isWideTable(tableName) ? AGGREGATE_KINDS[type] || "" : "";
+		return this.generateMaterializedViewName(`${tableName}${suffix}`, tier.viewPrefix);
+	}
+
+	/**
+	 * Builds the SELECT that turns raw rows into the aggregate states of a tier. The materialized views run it
+	 * on every inserted block, rebuildAggregates on the stored rows and getHistory on the raw rows of a request,
+	 * with the getHistory step as tier.
+	 *
+	 * Every sample's predecessor value is held for the time since that predecessor, which gives the integral,
+	 * the on-time of booleans and the time share of strings. The materialized views cannot see rows outside the
+	 * inserted block, so they use the `prev_*` columns written with each row; rebuilds look the predecessor up
+	 * with a window instead. A segment that starts in an earlier bucket is split at the bucket starts, every
+	 * bucket it crosses gets the part that lies inside it, newest first in `segment_buckets`. The counter delta
+	 * of a numeric sample, see counterDelta, counts for the bucket of the sample.
+	 *
+	 * @param {Record<string, any>} tier
+	 * @param {{ id: string; table: string; value: string; type?: string; perId?: boolean; window?: boolean; conditions?: string[]; buckets?: string[] }} source
+	 *   `id` is an SQL expression, `type` the value type (number by default), `perId` groups by the id column,
+	 *   `window` derives the predecessor from the selected rows, `conditions` filter the raw rows and `buckets`
+	 *   the resulting buckets
+	 * @returns {string}
+	 */
+	buildTierStateSelect(tier, source) {
+		const bucket = tier.bucketColumn;
+		const type = source.type || VALUE_TYPES.NUMBER;
+		const where = [`${source.value} IS NOT NULL`, ...(source.conditions || [])];
+		const previousTs = source.window ? "lagInFrame(toNullable(ts)) OVER w" : "prev_ts";
+		const previousValue = source.window
+			? "lagInFrame(toNullable(val)) OVER w"
+			: type === VALUE_TYPES.STRING
+				? "prev_text"
+				: "prev_value";
+		const idColumn = source.perId ? "id,\n\t\t" : "";
+		let value;
+		let segmentValue;
+		let states;
+		let delta = "";
+		let groupBy = `${source.perId ? "id, " : ""}${bucket}`;
+		switch (type) {
+			case VALUE_TYPES.BOOLEAN:
+				value = `toUInt8(assumeNotNull(${source.value}))`;
+				segmentValue = `toUInt8(ifNull(${previousValue}, 0))`;
+				states = `sumState(if(segment_value = 1, duration, toInt64(0))) AS true_ms_state,
+	sumState(duration) AS known_ms_state,
+	sumState(toUInt64(sample = 1 AND linked AND val != segment_value)) AS switches_state,
+	argMinStateIf(val, ts, sample = 1) AS first_state,
+	argMaxStateIf(val, ts, sample = 1) AS last_state,
+	countStateIf(sample = 1) AS count_state,`;
+				break;
+			case VALUE_TYPES.STRING:
+				value = `toString(assumeNotNull(${source.value}))`;
+				segmentValue = `ifNull(${previousValue}, '')`;
+				// a sample counts for its own value, the segment before it for the predecessor's
+				states = `if(sample = 1, val, segment_value) AS value,
+	sumState(duration) AS duration_state,
+	countStateIf(sample = 1) AS count_state,
+	sumState(toUInt64(sample = 1 AND linked AND val != segment_value)) AS entries_state,`;
+				groupBy += ", value";
+				break;
+			default:
+				value = `toFloat64(assumeNotNull(${source.value}))`;
+				segmentValue = `ifNull(${previousValue}, 0)`;
+				delta = `${this.counterDelta("val", previousValue)} AS delta,\n\t\t\t`;
+				states = `minStateIf(val, sample = 1) AS min_state,
+	maxStateIf(val, sample = 1) AS max_state,
+	avgStateIf(val, sample = 1) AS avg_state,
+	argMaxStateIf(val, ts, sample = 1) AS last_state,
+	countStateIf(sample = 1) AS count_state,
+	sumStateIf(val, sample = 1) AS sum_state,
+	sumState(segment_value * duration / 3.6e9) AS integral_state,
+	sumStateIf(delta, sample = 1) AS delta_state,`;
+		}
+		const buckets = ["(sample = 1 OR duration > 0)", ...(source.buckets || [])];
+		return `SELECT
+	${source.id} AS id,
+	${bucket},
+	${states}
 	now() AS updated
 FROM (
 	SELECT
-		ts,
-		toDate(ts) AS day,
-		toFloat64(assumeNotNull(value)) AS val,
-		greatest(0, dateDiff('second', ts, coalesce(lead(ts) OVER w, ts))) AS duration
-	FROM ${rawIdentifier}
-	WHERE value IS NOT NULL
-	WINDOW w AS (ORDER BY ts)
+		${idColumn}ts,
+		val,
+		${delta ? "delta,\n\t\t" : ""}segment_value,
+		linked,
+		part.1 AS ${bucket},
+		part.2 AS sample,
+		part.3 AS duration
+	FROM (
+		SELECT
+			${idColumn}ts,
+			${value} AS val,
+			${delta}toUnixTimestamp64Milli(ts) AS ts_ms,
+			${this.tierBucket(tier, "ts")} AS sample_bucket,
+			isNotNull(${previousTs}) AS linked,
+			ifNull(${previousTs}, ts) AS segment_start,
+			toUnixTimestamp64Milli(segment_start) AS segment_start_ms,
+			${this.tierBucket(tier, "segment_start")} AS segment_bucket,
+			arrayMap(
+				bucket_offset -> ${this.tierBucketBefore(tier, "sample_bucket", "bucket_offset")},
+				range(toUInt64(greatest(${this.tierBucketDistance(tier, "segment_bucket", "sample_bucket")}, 0)) + 1)
+			) AS segment_buckets,
+			${segmentValue} AS segment_value
+		FROM ${source.table}
+		WHERE ${where.join(" AND ")}${source.window ? "\n\t\tWINDOW w AS (ORDER BY ts ROWS BETWEEN 1 PRECEDING AND CURRENT ROW)" : ""}
+	)
+	ARRAY JOIN arrayConcat(
+		[(sample_bucket, 1, toInt64(0))],
+		arrayMap(
+			(segment_part, part_index) -> (
+				segment_part,
+				0,
+				greatest(
+					if(part_index = 1, ts_ms, ${this.tierBucketStartMs(tier, "segment_buckets[part_index - 1]")})
+						- greatest(${this.tierBucketStartMs(tier, "segment_part")}, segment_start_ms),
+					toInt64(0)
+				)
+			),
+			segment_buckets,
+			arrayEnumerate(segment_buckets)
+		)
+	) AS part
 )
-GROUP BY day`;
-		await this._client.command({ query });
-		this._materializedViewCache.add(mvName);
-		this.log.debug(`Ensured materialized view ${mvName} for ${id}`);
+WHERE ${buckets.join(" AND ")}
+GROUP BY ${groupBy}`;
+	}
+
+	/**
+	 * Recomputes the aggregate states of a numeric, boolean or string datapoint from its raw rows, for all
+	 * buckets that touch `start`..`end` (everything when omitted). Buckets that begin before the raw retention
+	 * window are left alone, the raw table no longer holds all of their rows. The states are deleted and
+	 * inserted again from the raw rows, so new rows of the datapoint are held in the buffer meanwhile: a row the
+	 * materialized views aggregated in between would be counted twice.
+	 *
+	 * @returns {Promise<boolean>} whether any tier was rebuilt
+	 */
+	async rebuildAggregatesFor(id, tableInfo, start, end, tiers = Array.from(this._aggregateTiers.values())) {
+		await this.holdFlushes([id]);
+		try {
+			return await this.recomputeAggregates(id, tableInfo, start, end, tiers);
+		} finally {
+			this.releaseFlushes([id]);
+		}
+	}
+
+	/**
+	 * The part of rebuildAggregatesFor that runs without holding flushes, for callers inside a flush.
+	 *
+	 * @returns {Promise<boolean>} whether any tier was rebuilt
+	 */
+	async recomputeAggregates(id, tableInfo, start, end, tiers = Array.from(this._aggregateTiers.values())) {
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		if (!this.supportsContinuousAggregation(tableInfo.type) || !this._aggregateTiers.size) {
+			return false;
+		}
+		const retentionDays = this.isWideTable(tableInfo.table)
+			? this._runtimeOptions.rawRetentionDays
+			: this.resolveRetentionDays(id);
+		const coverage = retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : undefined;
+		if (end !== undefined && coverage !== undefined && end < coverage) {
+			return false;
+		}
+		if (start !== undefined) {
+			// the integral of the predecessor's bucket covers the time up to the first changed sample
+			const params = /** @type {Record<string, unknown>} */ ({ start });
+			const source = this.getRawSource(id, tableInfo, params);
+			const rows = await this.runHistoryQuery(
+				`SELECT toUnixTimestamp64Milli(max(ts)) AS ts
+				FROM ${source.table}
+				WHERE ${[...source.conditions, `${source.value} IS NOT NULL`, "ts < fromUnixTimestamp64Milli({start:UInt64})"].join(" AND ")}`,
+				params,
+				client,
+			);
+			const previous = Number(rows[0]?.ts);
+			if (previous > 0) {
+				start = previous;
+			}
+		}
+		for (const tier of tiers) {
+			const bucket = tier.bucketColumn;
+			const params = /** @type {Record<string, unknown>} */ ({ aggregateId: String(id) });
+			const buckets = [];
+			if (start !== undefined) {
+				params.start = start;
+				buckets.push(`${bucket} >= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({start:UInt64})")}`);
+			}
+			if (end !== undefined) {
+				params.end = end;
+				buckets.push(`${bucket} <= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({end:UInt64})")}`);
+			}
+			if (coverage !== undefined) {
+				params.coverage = coverage;
+				buckets.push(`${this.tierBucketStart(tier, bucket)} >= fromUnixTimestamp64Milli({coverage:UInt64})`);
+			}
+			const source = this.getRawSource(id, tableInfo, params);
+			const conditions = [...source.conditions];
+			if (start !== undefined) {
+				// the first bucket needs all of its rows plus the predecessor of the first one
+				conditions.push(`ts >= (SELECT max(ts) FROM ${source.table} WHERE ${[
+					...source.conditions,
+					`${source.value} IS NOT NULL`,
+					`ts < ${this.tierBucketStart(tier, this.tierBucket(tier, "fromUnixTimestamp64Milli({start:UInt64})"))}`,
+				].join(" AND ")})`);
+			}
+			const tables = this.getTierTables(tier, tableInfo.type);
+			await client.command({
+				query: `ALTER TABLE ${tables.stateIdentifier}${this.onCluster()} DELETE WHERE id = {aggregateId:String}${buckets.map(condition => ` AND ${condition}`).join("")}`,
+				query_params: params,
+				// the recomputed states must not be inserted before the old ones are gone
+				clickhouse_settings: this.mutationSettings(),
+			});
+			const select = this.buildTierStateSelect(tier, {
+				id: "{aggregateId:String}",
+				table: source.table,
+				type: tableInfo.type,
+				value: source.value,
+				window: true,
+				conditions,
+				buckets,
+			});
+			await client.command({
+				query: `INSERT INTO ${this.getDataIdentifier(tables.stateTable)}\n${select}`,
+				query_params: params,
+			});
+		}
+		return true;
 	}
 
 	async ensureMaterializedViewsForCache() {
@@ -642,61 +2320,331 @@ GROUP BY day`;
 			if (!info) {
 				continue;
 			}
-			await this.ensureRawTableTtl(info.table);
 			if (this.supportsContinuousAggregation(info.type)) {
 				await this.ensureMaterializedViewFor(id, info);
 			}
 		}
 	}
 
+	/**
+	 * Builds the options of a ClickHouse client. With TLS, the CA certificate and the client certificate and key
+	 * for mutual TLS are read from PEM text or files. Every client gets its own options, closing a client
+	 * destroys its HTTP agent.
+	 *
+	 * @param {{ host: string; port: number; secure: boolean; username: string; password: string; caCert?: string; clientCert?: string; clientKey?: string; allowSelfSigned?: boolean; distributedTables?: boolean; connectTimeout: number }} config
+	 * @param {string} [database]
+	 */
+	buildClientOptions(config, database) {
+		const options = /** @type {Record<string, any>} */ ({
+			host: `${config.secure ? "https" : "http"}://${formatEndpoint(config)}`,
+			username: config.username,
+			password: config.password,
+			request_timeout: config.connectTimeout,
+		});
+		if (database) {
+			options.database = database;
+		}
+		if (config.distributedTables) {
+			// inserts into Distributed tables return once the shards have the rows, so they can be read right after
+			options.clickhouse_settings = { insert_distributed_sync: 1 };
+		}
+		if (!config.secure) {
+			return options;
+		}
+		const ca = readPem(config.caCert, "CA certificate");
+		const cert = readPem(config.clientCert, "client certificate");
+		const key = readPem(config.clientKey, "client key");
+		if (Boolean(cert) !== Boolean(key)) {
+			throw new Error("TLS client certificate and key have to be configured together");
+		}
+		if (ca && !config.allowSelfSigned) {
+			options.tls = cert ? { ca_cert: ca, cert, key } : { ca_cert: ca };
+		} else if (cert || config.allowSelfSigned) {
+			// the tls option of the client always verifies the server against a given CA, everything else needs
+			// an own agent; without keep-alive, idle sockets cannot outlive the server's keep-alive timeout
+			options.http_agent = new https.Agent({
+				keepAlive: false,
+				ca,
+				cert,
+				key,
+				rejectUnauthorized: !config.allowSelfSigned,
+			});
+		}
+		return options;
+	}
+
+	/**
+	 * Connects to the first reachable endpoint, starting with the one used last, and bootstraps the schema.
+	 */
 	async connectToClickHouse() {
 		await this.disconnectFromClickHouse();
 
-		const hostUrl = `${this._runtimeOptions.secure ? "https" : "http"}://${this._runtimeOptions.host}:${this._runtimeOptions.port}`;
-		this.log.debug(`Connecting to ClickHouse at ${hostUrl}, database=${this._runtimeOptions.database}`);
-		const adminClient = createClient({
-			host: hostUrl,
-			username: this._runtimeOptions.username,
-			password: this._runtimeOptions.password,
-			request_timeout: this._runtimeOptions.connectTimeout,
-		});
+		const endpoints = this._runtimeOptions.endpoints;
+		let lastError = null;
+		for (let attempt = 0; attempt < endpoints.length && !this._client; attempt++) {
+			const index = (this._endpointIndex + attempt) % endpoints.length;
+			try {
+				await this.openWriteClient(endpoints[index]);
+				this._endpointIndex = index;
+			} catch (error) {
+				lastError = error;
+				if (endpoints.length > 1) {
+					this.log.warn(`ClickHouse at ${formatEndpoint(endpoints[index])} is not reachable: ${extractError(error)}`);
+				}
+			}
+		}
+		if (!this._client) {
+			throw lastError || new Error("No ClickHouse endpoint configured");
+		}
+
+		this._tablePrefix = this.sanitizeTablePrefix(this._runtimeOptions.table);
+		this._registryTable = `${this._tablePrefix}_registry`;
+		this._registryIdentifier = this.quoteIdent(this._registryTable);
+		this._wideTable = `${this._tablePrefix}_wide`;
+		this._wideTableReady = false;
+		// outdated materialized views are dropped and created again below, rows inserted in between would never
+		// reach the aggregate tiers, so flushes wait until all views exist
+		this._bootstrapping = true;
+		try {
+			await this.ensureRegistryTable();
+			await this.ensureAggregateInfrastructure();
+			await this.loadTableRegistry();
+			await this.ensureRawTableColumns();
+			await this.loadTableTtlCache();
+			if (this._runtimeOptions.storageLayout === "wide" || this.isWideTableInUse()) {
+				await this.ensureWideTable();
+			}
+			await this.ensureMaterializedViewsForCache();
+		} finally {
+			this._bootstrapping = false;
+		}
+		await this.connectReadClient();
+		this.setConnected(true);
+		if (this._retimedTiers.size && !this._retimeRebuild) {
+			// runs in the background, new values are aggregated with the new timezone meanwhile; a reconnect
+			// during the rebuild leaves it running instead of starting another one over the same datapoints
+			this._retimeRebuild = this.rebuildRetimedTiers()
+				.catch(error => {
+					this.log.warn(`Rebuilding the aggregates for the new timezone failed: ${extractError(error)}`);
+				})
+				.finally(() => {
+					this._retimeRebuild = null;
+				});
+		}
+		this.log.debug(
+			`Connected to ClickHouse; using table prefix ${this._runtimeOptions.database}.${this._tablePrefix} (registry ${this._registryTable})`,
+		);
+	}
 
+	async openWriteClient(endpoint) {
+		const config = { ...this._runtimeOptions, ...endpoint };
+		const clientOptions = this.buildClientOptions(config);
+		this.log.debug(`Connecting to ClickHouse at ${clientOptions.host}, database=${config.database}`);
+		const adminClient = createClient(clientOptions);
 		try {
 			await adminClient.command({
-				query: `CREATE DATABASE IF NOT EXISTS ${this.quoteIdent(this.config.database)}`,
+				query: `CREATE DATABASE IF NOT EXISTS ${this.quoteIdent(config.database)}${this.onCluster()}`,
 			});
 		} finally {
 			await adminClient.close().catch(() => null);
 		}
+		this._client = createClient(this.buildClientOptions(config, config.database));
+	}
+
+	/**
+	 * Opens the client of the read endpoint, used by getHistory and the other read commands. Without a read
+	 * endpoint, or while it is not reachable, reads use the write connection.
+	 */
+	async connectReadClient(quiet = false) {
+		await this.closeReadClient();
+		const endpoint = this._runtimeOptions.readEndpoint;
+		if (endpoint) {
+			const config = {
+				...this._runtimeOptions,
+				...endpoint,
+				username: this._runtimeOptions.readUsername || this._runtimeOptions.username,
+				password: this._runtimeOptions.readUsername ? this._runtimeOptions.readPassword : this._runtimeOptions.password,
+			};
+			const client = createClient(this.buildClientOptions(config, config.database));
+			try {
+				// a ping does not check the credentials
+				await client.query({ query: "SELECT 1", format: "JSONEachRow" }).then(result => result.json());
+				this._readClient = client;
+				this.log[quiet ? "info" : "debug"](`Reading from ClickHouse at ${formatEndpoint(endpoint)}`);
+			} catch (error) {
+				await client.close().catch(() => null);
+				this.log[quiet ? "debug" : "warn"](
+					`Read endpoint ${formatEndpoint(endpoint)} is not reachable, reads use the write connection: ${extractError(error)}`,
+				);
+			}
+		}
+		this.updateEndpointStates();
+	}
+
+	async closeReadClient() {
+		if (this._readClient) {
+			await this._readClient.close().catch(() => null);
+			this._readClient = null;
+		}
+	}
 
-		this._client = createClient({
-			host: hostUrl,
-			database: this._runtimeOptions.database,
-			username: this._runtimeOptions.username,
-			password: this._runtimeOptions.password,
-			request_timeout: this._runtimeOptions.connectTimeout,
+	/**
+	 * Client for getHistory, exports and the other read commands: the read endpoint if one is connected, else
+	 * the write connection. Commands flush the buffer before they read, which makes the values visible on the
+	 * write connection only; a read replica shows them once it has replicated them.
+	 */
+	getReadClient() {
+		return this._readClient || this._client;
+	}
+
+	updateEndpointStates() {
+		const write = this._client ? formatEndpoint(this._runtimeOptions.endpoints[this._endpointIndex]) : "";
+		const read = this._readClient && this._runtimeOptions.readEndpoint ? formatEndpoint(this._runtimeOptions.readEndpoint) : write;
+		void this.setStateAsync("info.endpoint", write, true).catch(error => {
+			this.log.debug(`Cannot update info.endpoint: ${extractError(error)}`);
 		});
+		void this.setStateAsync("info.readEndpoint", read, true).catch(error => {
+			this.log.debug(`Cannot update info.readEndpoint: ${extractError(error)}`);
+		});
+	}
 
-		this._tablePrefix = this.sanitizeTablePrefix(this._runtimeOptions.table);
-		this._registryTable = `${this._tablePrefix}_registry`;
-		this._registryIdentifier = this.quoteIdent(this._registryTable);
-		await this.ensureRegistryTable();
-		await this.ensureAggregateInfrastructure();
-		await this.loadTableRegistry();
-		await this.ensureMaterializedViewsForCache();
-		this.setConnected(true);
-		this.log.debug(
-			`Connected to ClickHouse; using table prefix ${this._runtimeOptions.database}.${this._tablePrefix} (registry ${this._registryTable})`,
+	/**
+	 * Connects and bootstraps the schema. Failures are not fatal: the adapter keeps tracking datapoints and
+	 * buffering values while a reconnect is scheduled with exponential backoff.
+	 */
+	async establishConnection() {
+		if (this._connecting || this._unloading) {
+			return;
+		}
+		this._connecting = true;
+		try {
+			await this.connectToClickHouse();
+			if (this._reconnectDelay) {
+				this.log.info("Reconnected to ClickHouse");
+			}
+			this._reconnectDelay = 0;
+			await this.applyRetentionPolicies();
+			this.startHealthCheck();
+			void this.flushBuffer().catch(error => {
+				this.log.warn(`Buffer flush after connect failed: ${extractError(error)}`);
+			});
+		} catch (error) {
+			await this.disconnectFromClickHouse();
+			this.scheduleReconnect(error);
+		} finally {
+			this._connecting = false;
+		}
+	}
+
+	scheduleReconnect(error) {
+		if (this._reconnectTimer || this._unloading) {
+			return;
+		}
+		this._reconnectDelay = this._reconnectDelay
+			? Math.min(this._reconnectDelay * 2, RECONNECT_MAX_DELAY)
+			: RECONNECT_MIN_DELAY;
+		this.log.warn(
+			`ClickHouse is not reachable (${extractError(error)}); retrying in ${Math.round(this._reconnectDelay / 1000)}s`,
 		);
-		this.startFlushTimer();
+		this._reconnectTimer = setTimeout(() => {
+			this._reconnectTimer = null;
+			void this.establishConnection();
+		}, this._reconnectDelay);
+	}
+
+	/**
+	 * Called after a failed write or health check. A ping tells connection problems apart from rejected data,
+	 * only the former tear down the client. With several endpoints the next one is tried right away, the
+	 * reconnect loop starts once none is reachable.
+	 */
+	async handleConnectionLoss(error) {
+		const client = this._client;
+		if (!client || this._connecting || this._unloading) {
+			return;
+		}
+		const result = await client.ping().catch(pingError => ({ success: false, error: pingError }));
+		if (result.success || client !== this._client) {
+			return;
+		}
+		this.log.warn(`Lost connection to ClickHouse: ${extractError(result.error || error)}`);
+		this.stopHealthCheck();
+		await this.disconnectFromClickHouse();
+		const endpoints = this._runtimeOptions.endpoints;
+		if (endpoints.length > 1) {
+			this._endpointIndex = (this._endpointIndex + 1) % endpoints.length;
+			this.log.info(`Failing over to ClickHouse at ${formatEndpoint(endpoints[this._endpointIndex])}`);
+			await this.establishConnection();
+			return;
+		}
+		this.scheduleReconnect(result.error || error);
+	}
+
+	/**
+	 * Pings the write connection, reopens a failed read connection and moves back to the first endpoint once
+	 * it is reachable again after a failover.
+	 */
+	async runHealthCheck() {
+		await this.handleConnectionLoss(new Error("Health check failed"));
+		if (!this._client || this._connecting || this._unloading) {
+			return;
+		}
+		if (this._runtimeOptions.readEndpoint) {
+			const readClient = this._readClient;
+			const result = readClient ? await readClient.ping().catch(error => ({ success: false, error })) : null;
+			if (!result?.success) {
+				if (result) {
+					this.log.warn(`Lost the read endpoint, reads use the write connection: ${extractError(result.error)}`);
+				}
+				await this.connectReadClient(true);
+			}
+		}
+		if (this._endpointIndex !== 0) {
+			await this.returnToPreferredEndpoint();
+		}
+	}
+
+	async returnToPreferredEndpoint() {
+		const endpoint = this._runtimeOptions.endpoints[0];
+		const probe = createClient(this.buildClientOptions({ ...this._runtimeOptions, ...endpoint }));
+		const result = await probe.ping().catch(error => ({ success: false, error }));
+		await probe.close().catch(() => null);
+		if (!result.success || !this._client || this._connecting || this._unloading) {
+			return;
+		}
+		this.log.info(`ClickHouse at ${formatEndpoint(endpoint)} is reachable again, switching back to it`);
+		this.stopHealthCheck();
+		await this.flushBuffer(true).catch(() => null);
+		this._endpointIndex = 0;
+		await this.establishConnection();
+	}
+
+	startHealthCheck() {
+		this.stopHealthCheck();
+		this._healthTimer = setInterval(() => {
+			void this.runHealthCheck().catch(error => {
+				this.log.debug(`Health check failed: ${extractError(error)}`);
+			});
+		}, HEALTH_CHECK_INTERVAL);
+		if (typeof this._healthTimer.unref === "function") {
+			this._healthTimer.unref();
+		}
+	}
+
+	stopHealthCheck() {
+		if (this._healthTimer) {
+			clearInterval(this._healthTimer);
+			this._healthTimer = null;
+		}
 	}
 
 	async disconnectFromClickHouse() {
+		await this.closeReadClient();
 		if (this._client) {
 			await this._client.close().catch(() => null);
 			this._client = null;
 		}
 		this.setConnected(false);
+		this.updateEndpointStates();
 	}
 
 	startFlushTimer() {
@@ -763,6 +2711,10 @@ GROUP BY day`;
 				custom.round !== "" && custom.round !== undefined
 					? Math.max(parseInt(custom.round, 10) || 0, 0)
 					: null,
+			retentionDays:
+				custom.retentionDays !== "" && custom.retentionDays !== undefined && custom.retentionDays !== null
+					? Math.max(parseInt(custom.retentionDays, 10) || 0, 0)
+					: this._defaults.retentionDays,
 			changesRelogInterval: Math.max(parseNumber(custom.changesRelogInterval, this._defaults.changesRelogInterval), 0),
 			changesMinDelta: Math.max(parseNumber(custom.changesMinDelta, this._defaults.changesMinDelta), 0),
 			enableDebugLogs: parseBool(custom.enableDebugLogs, this._defaults.enableDebugLogs),
@@ -770,6 +2722,7 @@ GROUP BY day`;
 				custom.disableSkippedValueLogging,
 				this._defaults.disableSkippedValueLogging,
 			),
+			counter: parseBool(custom.counter, this._defaults.counter),
 		};
 		if (normalized.ignoreBelowNumber === null || Number.isNaN(normalized.ignoreBelowNumber)) {
 			normalized.ignoreBelowNumber = null;
@@ -896,6 +2849,10 @@ GROUP BY day`;
 
 			this.removeTrackedDatapoint(id);
 			await this.addTrackedDatapoint(id, custom);
+			const info = this._tableCache.get(id);
+			for (const table of info ? this.getRawTables(info).filter(name => !this.isWideTable(name)) : []) {
+				await this.ensureTableTtl(table, this.resolveRetentionDays(id));
+			}
 		} catch (error) {
 			this.log.error(`Error handling object change for ${id}: ${extractError(error)}`);
 		}
@@ -1022,6 +2979,11 @@ GROUP BY day`;
 		return this.createEphemeralEntry(id);
 	}
 
+	/**
+	 * Applies the filters of a datapoint to a new value.
+	 *
+	 * @returns {string} the reason the value is skipped for, one of SKIP_REASONS, or an empty string to store it
+	 */
 	shouldSkipValue(entry, converted, state, timerRelog) {
 		const settings = entry.config;
 		const lastStored = entry.lastStoredState;
@@ -1030,7 +2992,7 @@ GROUP BY day`;
 			if (state.ts <= lastStored.ts + settings.blockTime) {
 				settings.enableDebugLogs &&
 					this.log.debug(`Skip ${entry.id}: blockTime active (${settings.blockTime}ms)`);
-				return true;
+				return "blockTime";
 			}
 		}
 
@@ -1040,11 +3002,11 @@ GROUP BY day`;
 				converted.comparable === 0
 			) {
 				settings.enableDebugLogs && this.log.debug(`Skip ${entry.id}: ignoreZero`);
-				return true;
+				return "ignoreZero";
 			}
 			if (converted.type === VALUE_TYPES.NULL) {
 				settings.enableDebugLogs && this.log.debug(`Skip ${entry.id}: null value`);
-				return true;
+				return "ignoreZero";
 			}
 		}
 
@@ -1055,7 +3017,7 @@ GROUP BY day`;
 		) {
 			settings.enableDebugLogs &&
 				this.log.debug(`Skip ${entry.id}: below threshold ${settings.ignoreBelowNumber}`);
-			return true;
+			return "belowThreshold";
 		}
 
 		if (
@@ -1065,7 +3027,7 @@ GROUP BY day`;
 		) {
 			settings.enableDebugLogs &&
 				this.log.debug(`Skip ${entry.id}: above threshold ${settings.ignoreAboveNumber}`);
-			return true;
+			return "aboveThreshold";
 		}
 
 		let valueChanged = !this.valuesEqual(converted, entry);
@@ -1086,17 +3048,17 @@ GROUP BY day`;
 						this.log.debug(
 							`Relog interval reached for ${entry.id} after ${state.ts - entry.lastLogTime}ms`,
 						);
-					return false;
+					return "";
 				}
 				if (!settings.disableSkippedValueLogging) {
 					entry.lastSkippedState = { ...state };
 				}
 				settings.enableDebugLogs && this.log.debug(`Skip ${entry.id}: value unchanged`);
-				return true;
+				return "unchanged";
 			}
 		}
 
-		return false;
+		return "";
 	}
 
 	buildRow(id, tableInfo, converted, state) {
@@ -1107,6 +3069,10 @@ GROUP BY day`;
 			values: {
 				ts: formatDateTime(state.ts),
 				value: this.encodeValue(tableInfo.type, converted.value),
+				ack: state.ack ? 1 : 0,
+				q: Math.max(parseInt(state.q, 10) || 0, 0),
+				from: String(state.from || ""),
+				lc: formatDateTime(state.lc),
 			},
 		};
 	}
@@ -1156,6 +3122,7 @@ GROUP BY day`;
 				entry.lastSkippedState = { ...clonedState };
 			}
 			settings.enableDebugLogs && this.log.debug(`Skip ${entry.id}: ack=false`);
+			this._stats.skipped.ackFalse++;
 			return;
 		}
 
@@ -1167,10 +3134,30 @@ GROUP BY day`;
 			return;
 		}
 
+		if (converted.type === VALUE_TYPES.NULL && !this._tableCache.has(id)) {
+			// the table is created with the type of the first non-null value
+			settings.enableDebugLogs && this.log.debug(`Skip ${entry.id}: null value without a typed table`);
+			return;
+		}
+
 		let tableInfo;
 		try {
-			tableInfo = await this.ensureTableFor(id, converted.type);
-			if (tableInfo.type !== converted.type) {
+			// while offline, rows of unknown tables are queued with table null and resolved by flushBuffer
+			tableInfo =
+				this._client || this._tableCache.has(id)
+					? await this.ensureTableFor(id, converted.type)
+					: { table: null, type: converted.type };
+			if (this._client && this.shouldEvolveStorageType(tableInfo, converted.type, settings)) {
+				let evolution = this._storageEvolutions.get(id);
+				if (!evolution) {
+					evolution = this.evolveStorageType(id, tableInfo, converted.type).finally(() => {
+						this._storageEvolutions.delete(id);
+					});
+					this._storageEvolutions.set(id, evolution);
+				}
+				tableInfo = await evolution;
+			}
+			if (tableInfo.type !== converted.type && converted.type !== VALUE_TYPES.NULL) {
 				converted = this.prepareValue(clonedState.val, { ...settings, storageType: tableInfo.type });
 			}
 		} catch (error) {
@@ -1178,14 +3165,16 @@ GROUP BY day`;
 			return;
 		}
 
-		if (converted.type !== tableInfo.type) {
+		if (converted.type !== tableInfo.type && converted.type !== VALUE_TYPES.NULL) {
 			this.log.warn(
 				`Cannot store value for ${id}: storage type ${tableInfo.type} mismatches converted type ${converted.type}`,
 			);
 			return;
 		}
 
-		if (this.shouldSkipValue(entry, converted, clonedState, timerRelog)) {
+		const skipReason = this.shouldSkipValue(entry, converted, clonedState, timerRelog);
+		if (skipReason) {
+			this._stats.skipped[skipReason]++;
 			return;
 		}
 
@@ -1242,9 +3231,20 @@ GROUP BY day`;
 
 	async flushBuffer(force = false) {
 		if (!this._client) {
+			if (this._buffer.length && !this._flushPromise) {
+				// keep memory bounded while offline, the spool is replayed after the reconnect
+				const rows = this._buffer.splice(0);
+				const spooled = await this.appendToSpool(rows).catch(error => {
+					this.log.error(`Cannot spool ${rows.length} rows: ${extractError(error)}`);
+					return false;
+				});
+				if (!spooled) {
+					this._buffer = rows.concat(this._buffer);
+				}
+			}
 			return 0;
 		}
-		if (!this._buffer.length && !force) {
+		if ((!this._buffer.length && !this._spool.rows && !force) || this._bootstrapping) {
 			return 0;
 		}
 		if (this._flushPromise && !force) {
@@ -1254,94 +3254,571 @@ GROUP BY day`;
 			await this._flushPromise.catch(() => null);
 		}
 
-		if (!this._buffer.length) {
+		const rows = this.takeBufferedRows();
+		if (!rows.length && !this._spool.rows) {
 			return 0;
 		}
 
-		const rows = this._buffer.splice(0);
 		this._flushPromise = (async () => {
-			const grouped = new Map();
-			for (const row of rows) {
-				if (!grouped.has(row.table)) {
-					grouped.set(row.table, []);
-				}
-				grouped.get(row.table).push(row.values);
-			}
+			const started = Date.now();
+			let pending = rows;
 			try {
 				const client = this._client;
 				if (!client) {
 					throw new Error("Not connected to ClickHouse");
 				}
+				if (this._spool.rows) {
+					// spooled rows are older than the buffer and have to reach ClickHouse first
+					await this.replaySpool();
+				}
+				pending = await this.linkPreviousSamples(await this.resolvePendingTables(rows));
+				const grouped = new Map();
+				for (const row of pending) {
+					if (!grouped.has(row.table)) {
+						grouped.set(row.table, []);
+					}
+					grouped.get(row.table).push(row);
+				}
 				let written = 0;
 				for (const table of Array.from(grouped.keys())) {
-					const values = grouped.get(table) || [];
-					if (!values.length) {
+					const tableRows = grouped.get(table) || [];
+					if (!tableRows.length) {
 						continue;
 					}
+					const values = tableRows.map(row => this.formatInsertValues(row));
 					this.log.debug(
 						`Flush payload for ${table}: ${JSON.stringify(values)}`,
 					);
-					await client.insert({ table, values, format: "JSONEachRow" });
+					await client.insert({ table: this.getDataTable(table), values, format: "JSONEachRow" });
+					this.countWrittenRows(values.length);
 					written += values.length;
+					pending = pending.filter(row => row.table !== table);
 				}
 				this.setConnected(true);
+				this._stats.flushDuration = Date.now() - started;
+				this._stats.lastFlush = Date.now();
 				this.log.debug(
 					`Flushed ${written} rows across ${grouped.size} tables; remaining buffer=${this._buffer.length}`,
 				);
+				await this.rebuildLateAggregates();
 				return written;
 			} catch (error) {
 				this.setConnected(false);
-				this.log.error(`Failed to write ${rows.length} rows: ${extractError(error)}`);
-				this._buffer = rows.concat(this._buffer);
+				this._stats.failedFlushes++;
+				this._stats.lastError = extractError(error);
+				this.log.error(`Failed to write ${pending.length} rows: ${extractError(error)}`);
+				if (!pending.length) {
+					throw error;
+				}
+				const spooled = await this.appendToSpool(pending).catch(spoolError => {
+					this.log.error(`Cannot spool ${pending.length} rows: ${extractError(spoolError)}`);
+					return false;
+				});
+				if (!spooled) {
+					this._buffer = pending.concat(this._buffer);
+				}
+				void this.handleConnectionLoss(error);
 				throw error;
 			} finally {
 				this._flushPromise = null;
+				void this.updateStatsStates();
 			}
 		})();
 
 		return this._flushPromise;
 	}
 
-	setConnected(isConnected) {
-		if (this._connected === isConnected) {
-			return;
+	/**
+	 * Removes the rows to write from the buffer. Rows of held datapoints stay buffered until they are released.
+	 */
+	takeBufferedRows() {
+		if (!this._heldIds.size) {
+			return this._buffer.splice(0);
 		}
-		this._connected = isConnected;
-		void this.setStateAsync("info.connection", isConnected, true).catch(error => {
-			this.log.error(`Cannot update info.connection: ${extractError(error)}`);
-		});
+		const rows = [];
+		const held = [];
+		for (const row of this._buffer) {
+			(this._heldIds.has(row.id) ? held : rows).push(row);
+		}
+		this._buffer = held;
+		return rows;
 	}
 
-	async onUnload(callback) {
-		try {
-			this.stopFlushTimer();
-			await this.flushBuffer(true).catch(() => null);
-			await this.disconnectFromClickHouse();
-		} catch (error) {
-			this.log.error(`Error during unload: ${extractError(error)}`);
-		} finally {
-			callback();
+	/**
+	 * Keeps new rows of the datapoints in the buffer while their raw rows are rewritten, so no insert reaches
+	 * the tables or the materialized views in between. Waits for a flush that is already running.
+	 */
+	async holdFlushes(ids) {
+		for (const id of ids) {
+			this._heldIds.set(id, (this._heldIds.get(id) || 0) + 1);
+		}
+		if (this._flushPromise) {
+			await this._flushPromise.catch(() => null);
 		}
 	}
 
-	async onMessage(msg) {
-		this.log.debug(`Incoming message ${msg.command}`);
-		try {
-			switch (msg.command) {
-				case "features":
-					this.sendTo(
-						msg.from,
-						msg.command,
-						{ supportedFeatures: ["update", "delete", "deleteRange", "deleteAll", "storeState"] },
-						msg.callback,
-					);
-					break;
-				case "storeState":
-					await this.handleStoreState(msg);
-					break;
-				case "update":
-					await this.handleUpdateState(msg);
-					break;
+	/**
+	 * Ends a hold. Held rows queued for a table the datapoint no longer uses are assigned to its current table.
+	 */
+	releaseFlushes(ids) {
+		for (const id of ids) {
+			const holds = (this._heldIds.get(id) || 0) - 1;
+			if (holds > 0) {
+				this._heldIds.set(id, holds);
+				continue;
+			}
+			this._heldIds.delete(id);
+			const info = this._tableCache.get(id);
+			for (const row of this._buffer) {
+				if (row.id === id && info && row.table !== info.table) {
+					row.table = undefined;
+				}
+			}
+		}
+	}
+
+	countWrittenRows(rows) {
+		this._stats.rowsWritten += rows;
+		this._stats.recentWrites.push({ ts: Date.now(), rows });
+	}
+
+	/**
+	 * Rows written within the last minute; older entries are dropped.
+	 */
+	getRowsPerMinute() {
+		const since = Date.now() - 60000;
+		const recent = this._stats.recentWrites.filter(entry => entry.ts > since);
+		this._stats.recentWrites = recent;
+		return recent.reduce((sum, entry) => sum + entry.rows, 0);
+	}
+
+	async updateStatsStates() {
+		const updates = {
+			"info.stats.bufferLength": this._buffer.length,
+			"info.stats.rowsWritten": this._stats.rowsWritten,
+			"info.stats.rowsPerMinute": this.getRowsPerMinute(),
+			"info.stats.flushDuration": this._stats.flushDuration,
+			"info.stats.lastFlush": this._stats.lastFlush,
+			"info.stats.failedFlushes": this._stats.failedFlushes,
+			"info.stats.lastError": this._stats.lastError,
+			"info.stats.trackedDatapoints": this._tracked.size,
+		};
+		for (const reason of SKIP_REASONS) {
+			updates[`info.stats.skipped.${reason}`] = this._stats.skipped[reason];
+		}
+		for (const [id, value] of Object.entries(updates)) {
+			await this.setStateChangedAsync(id, value, true).catch(error => {
+				this.log.debug(`Cannot update ${id}: ${extractError(error)}`);
+			});
+		}
+	}
+
+	/**
+	 * Publishes the statistics regularly, so the buffer length and the write rate also follow idle periods.
+	 */
+	startStatsTimer() {
+		this.stopStatsTimer();
+		this._statsTimer = setInterval(() => {
+			void this.updateStatsStates();
+		}, STATS_INTERVAL);
+		if (typeof this._statsTimer.unref === "function") {
+			this._statsTimer.unref();
+		}
+	}
+
+	stopStatsTimer() {
+		if (this._statsTimer) {
+			clearInterval(this._statsTimer);
+			this._statsTimer = null;
+		}
+	}
+
+	/**
+	 * Assigns tables to rows that were queued while the registry was unavailable. Rows whose value cannot be
+	 * converted to the type of an existing table are dropped.
+	 */
+	async resolvePendingTables(rows) {
+		const resolved = [];
+		for (const row of rows) {
+			if (row.table) {
+				resolved.push(row);
+				continue;
+			}
+			const info = await this.ensureTableFor(row.id, row.type);
+			if (info.type === row.type) {
+				resolved.push({ ...row, table: info.table });
+				continue;
+			}
+			try {
+				const converted = this.prepareValue(this.decodeValue(row.type, row.values.value), {
+					storageType: info.type,
+					round: null,
+				});
+				resolved.push({
+					...row,
+					table: info.table,
+					type: info.type,
+					values: { ...row.values, value: this.encodeValue(info.type, converted.value) },
+				});
+			} catch (error) {
+				this.log.warn(
+					`Dropping queued value for ${row.id}: cannot convert ${row.type} to ${info.type} (${extractError(error)})`,
+				);
+			}
+		}
+		return resolved;
+	}
+
+	/**
+	 * Stores the previous sample with every aggregated row, so the materialized views can compute the integral
+	 * and the time each value was held across insert blocks. The last sample per datapoint is kept in memory
+	 * and read from ClickHouse once per run. Samples older than the last one are inserted unlinked; the
+	 * aggregates of their buckets are rebuilt after the flush.
+	 */
+	async linkPreviousSamples(rows) {
+		for (const row of rows) {
+			if (!this.supportsContinuousAggregation(row.type) || row.values.value === null || row.values.value === undefined) {
+				continue;
+			}
+			const ts = parseDateTime(row.values.ts);
+			let last = this._lastSamples.get(row.id);
+			if (last === undefined) {
+				last = await this.loadLastSample(row.id);
+				this._lastSamples.set(row.id, last);
+			}
+			if (row.values.prev_ts !== undefined) {
+				// linked before a failed write and spooled since
+				if (!last || ts > last.ts) {
+					this._lastSamples.set(row.id, { ts, value: row.values.value });
+				}
+				continue;
+			}
+			if (last && ts <= last.ts) {
+				const late = this._lateSamples.get(row.id);
+				this._lateSamples.set(row.id, late === undefined ? ts : Math.min(late, ts));
+				continue;
+			}
+			row.values.prev_ts = last ? formatDateTime(last.ts) : null;
+			row.values[row.type === VALUE_TYPES.STRING ? "prev_text" : "prev_value"] = last ? last.value : null;
+			this._lastSamples.set(row.id, { ts, value: row.values.value });
+		}
+		return rows;
+	}
+
+	async loadLastSample(id) {
+		const info = this._tableCache.get(id);
+		if (!info || !this.supportsContinuousAggregation(info.type)) {
+			return null;
+		}
+		const params = /** @type {Record<string, unknown>} */ ({});
+		const source = this.getRawSource(id, info, params);
+		const rows = await this.runHistoryQuery(
+			`SELECT toUnixTimestamp64Milli(ts) AS ts, ${source.value} AS value
+			FROM ${source.table}
+			WHERE ${[...source.conditions, `${source.value} IS NOT NULL`].join(" AND ")}
+			ORDER BY ts DESC
+			LIMIT 1`,
+			params,
+			this._client,
+		);
+		if (!rows.length) {
+			return null;
+		}
+		const value = info.type === VALUE_TYPES.STRING ? String(rows[0].value) : Number(rows[0].value);
+		return { ts: Number(rows[0].ts), value };
+	}
+
+	async rebuildLateAggregates() {
+		for (const [id, start] of Array.from(this._lateSamples.entries())) {
+			this._lateSamples.delete(id);
+			const info = this._tableCache.get(id);
+			if (!info) {
+				continue;
+			}
+			try {
+				// runs inside the flush, no other flush inserts rows until it is done
+				await this.recomputeAggregates(id, info, start, this._lastSamples.get(id)?.ts ?? start);
+				this.log.debug(`Rebuilt aggregates of ${id} after late samples since ${new Date(start).toISOString()}`);
+			} catch (error) {
+				this.log.warn(`Cannot rebuild aggregates of ${id} after late samples: ${extractError(error)}`);
+			}
+		}
+	}
+
+	async initializeSpool() {
+		const directory = utils.getAbsoluteInstanceDataDir(this);
+		this._spool.file = path.join(directory, SPOOL_FILE_NAME);
+		this._spool.offsetFile = `${this._spool.file}.offset`;
+		this._spool.maxBytes = this._runtimeOptions.spoolMaxSize * 1024 * 1024;
+		if (!this._spool.maxBytes) {
+			this.log.debug("Persistent spool disabled");
+		}
+		await fs.promises.mkdir(directory, { recursive: true });
+		this._spool.offset = await this.readSpoolOffset();
+		this._spool.rows = 0;
+		this._spool.bytes = 0;
+		try {
+			const { rows, bytes } = await this.scanSpool(this._spool.offset);
+			this._spool.rows = rows;
+			this._spool.bytes = bytes;
+		} catch (error) {
+			if (error?.code !== "ENOENT") {
+				this.log.warn(`Cannot read spool file ${this._spool.file}: ${extractError(error)}`);
+			}
+		}
+		if (this._spool.rows) {
+			this.log.info(`Found ${this._spool.rows} spooled rows from a previous run; they are replayed once ClickHouse is reachable`);
+		}
+		await this.updateSpoolStates();
+	}
+
+	async readSpoolOffset() {
+		try {
+			const offset = parseInt(await fs.promises.readFile(this._spool.offsetFile, "utf8"), 10);
+			return offset > 0 ? offset : 0;
+		} catch (error) {
+			return 0;
+		}
+	}
+
+	async scanSpool(offset) {
+		let rows = 0;
+		let bytes = 0;
+		const lines = readline.createInterface({
+			input: fs.createReadStream(this._spool.file, { start: offset }),
+			crlfDelay: Infinity,
+		});
+		for await (const line of lines) {
+			bytes += Buffer.byteLength(line) + 1;
+			if (line.trim()) {
+				rows++;
+			}
+		}
+		return { rows, bytes };
+	}
+
+	/**
+	 * Appends rows to the on-disk spool. Returns false if the spool is disabled, so the caller keeps the rows in memory.
+	 */
+	async appendToSpool(rows) {
+		if (!this._spool.file || !this._spool.maxBytes) {
+			return false;
+		}
+		const payload = rows.map(row => `${JSON.stringify(row)}\n`).join("");
+		await fs.promises.appendFile(this._spool.file, payload, "utf8");
+		this._spool.rows += rows.length;
+		this._spool.bytes += Buffer.byteLength(payload);
+		this.log.warn(`Spooled ${rows.length} rows to disk; ${this._spool.rows} rows waiting for ClickHouse`);
+		if (this._spool.bytes > this._spool.maxBytes) {
+			await this.trimSpool();
+		}
+		await this.updateSpoolStates();
+		return true;
+	}
+
+	/**
+	 * Drops the oldest spooled rows until the spool fits into 90% of its configured maximum size.
+	 */
+	async trimSpool() {
+		const target = Math.floor(this._spool.maxBytes * 0.9);
+		let excess = this._spool.bytes - target;
+		let dropped = 0;
+		const kept = [];
+		const lines = readline.createInterface({
+			input: fs.createReadStream(this._spool.file, { start: this._spool.offset }),
+			crlfDelay: Infinity,
+		});
+		for await (const line of lines) {
+			if (!line.trim()) {
+				continue;
+			}
+			if (excess > 0) {
+				excess -= Buffer.byteLength(line) + 1;
+				dropped++;
+				continue;
+			}
+			kept.push(line);
+		}
+		const payload = kept.length ? `${kept.join("\n")}\n` : "";
+		const temporaryFile = `${this._spool.file}.tmp`;
+		await fs.promises.writeFile(temporaryFile, payload, "utf8");
+		await fs.promises.rename(temporaryFile, this._spool.file);
+		await this.writeSpoolOffset(0);
+		this._spool.rows = kept.length;
+		this._spool.bytes = Buffer.byteLength(payload);
+		this._spool.dropped += dropped;
+		this.log.warn(
+			`Spool exceeded ${this._runtimeOptions.spoolMaxSize} MB; dropped the ${dropped} oldest rows (${this._spool.dropped} dropped in total)`,
+		);
+	}
+
+	async writeSpoolOffset(offset) {
+		this._spool.offset = offset;
+		if (offset > 0) {
+			await fs.promises.writeFile(this._spool.offsetFile, String(offset), "utf8");
+		} else {
+			await fs.promises.rm(this._spool.offsetFile, { force: true });
+		}
+	}
+
+	/**
+	 * Inserts the spooled rows in their original order. Progress is persisted after every batch via the offset
+	 * file, so a restart in the middle of a replay does not insert the same rows twice. Rows of datapoints whose
+	 * flushes are held move to the front of the buffer instead, like new rows they wait for the end of the hold.
+	 */
+	async replaySpool() {
+		const client = this._client;
+		if (!client || !this._spool.rows || this._spool.replaying) {
+			return 0;
+		}
+		this._spool.replaying = true;
+		this._spool.replayed = 0;
+		this.log.info(`Replaying ${this._spool.rows} spooled rows`);
+		await this.updateSpoolStates();
+		let offset = this._spool.offset;
+		let batch = [];
+		let batchBytes = 0;
+		const held = [];
+		const writeBatch = async () => {
+			const rows = [];
+			for (const row of batch) {
+				(this._heldIds.has(row.id) ? held : rows).push(row);
+			}
+			const grouped = new Map();
+			for (const row of await this.linkPreviousSamples(await this.resolvePendingTables(rows))) {
+				if (!grouped.has(row.table)) {
+					grouped.set(row.table, []);
+				}
+				grouped.get(row.table).push(this.formatInsertValues(row));
+			}
+			for (const table of Array.from(grouped.keys())) {
+				await client.insert({ table: this.getDataTable(table), values: grouped.get(table), format: "JSONEachRow" });
+				this.countWrittenRows(grouped.get(table).length);
+			}
+			offset += batchBytes;
+			await this.writeSpoolOffset(offset);
+			this._spool.rows = Math.max(this._spool.rows - batch.length, 0);
+			this._spool.bytes = Math.max(this._spool.bytes - batchBytes, 0);
+			this._spool.replayed += batch.length;
+			batch = [];
+			batchBytes = 0;
+			await this.updateSpoolStates();
+		};
+		try {
+			const lines = readline.createInterface({
+				input: fs.createReadStream(this._spool.file, { start: offset }),
+				crlfDelay: Infinity,
+			});
+			for await (const line of lines) {
+				batchBytes += Buffer.byteLength(line) + 1;
+				if (!line.trim()) {
+					continue;
+				}
+				try {
+					batch.push(JSON.parse(line));
+				} catch (error) {
+					this.log.warn(`Skipping corrupt spool entry: ${extractError(error)}`);
+				}
+				if (batch.length >= SPOOL_REPLAY_BATCH) {
+					await writeBatch();
+				}
+			}
+			if (batch.length || batchBytes) {
+				await writeBatch();
+			}
+			await fs.promises.writeFile(this._spool.file, "", "utf8");
+			await this.writeSpoolOffset(0);
+			this._spool.rows = 0;
+			this._spool.bytes = 0;
+			this.log.info(`Replayed ${this._spool.replayed} spooled rows`);
+			return this._spool.replayed;
+		} finally {
+			// the held rows are past the offset already and older than the buffered ones
+			this._buffer = held.concat(this._buffer);
+			this._spool.replaying = false;
+			await this.updateSpoolStates();
+		}
+	}
+
+	async updateSpoolStates() {
+		const updates = {
+			"info.spool.rows": this._spool.rows,
+			"info.spool.bytes": this._spool.bytes,
+			"info.spool.replaying": this._spool.replaying,
+			"info.spool.replayed": this._spool.replayed,
+			"info.spool.dropped": this._spool.dropped,
+		};
+		for (const [id, value] of Object.entries(updates)) {
+			await this.setStateChangedAsync(id, value, true).catch(error => {
+				this.log.debug(`Cannot update ${id}: ${extractError(error)}`);
+			});
+		}
+	}
+
+	setConnected(isConnected) {
+		if (this._connected === isConnected) {
+			return;
+		}
+		this._connected = isConnected;
+		void this.setStateAsync("info.connection", isConnected, true).catch(error => {
+			this.log.error(`Cannot update info.connection: ${extractError(error)}`);
+		});
+	}
+
+	async onUnload(callback) {
+		try {
+			this._unloading = true;
+			this.stopFlushTimer();
+			this.stopStatsTimer();
+			this.stopHealthCheck();
+			if (this._reconnectTimer) {
+				clearTimeout(this._reconnectTimer);
+				this._reconnectTimer = null;
+			}
+			await this.flushBuffer(true).catch(() => null);
+			if (this._buffer.length) {
+				// ClickHouse is not reachable, keep the remaining rows for the next start
+				const rows = this._buffer.splice(0);
+				const spooled = await this.appendToSpool(rows).catch(() => false);
+				if (!spooled) {
+					this.log.warn(`Discarding ${rows.length} buffered rows that could not be written`);
+				}
+			}
+			await this.disconnectFromClickHouse();
+		} catch (error) {
+			this.log.error(`Error during unload: ${extractError(error)}`);
+		} finally {
+			callback();
+		}
+	}
+
+	async onMessage(msg) {
+		this.log.debug(`Incoming message ${msg.command}`);
+		try {
+			switch (msg.command) {
+				case "features":
+					this.sendTo(
+						msg.from,
+						msg.command,
+						{ supportedFeatures: ["update", "delete", "deleteRange", "deleteAll", "storeState"] },
+						msg.callback,
+					);
+					break;
+				case "storeState":
+					await this.handleStoreState(msg);
+					break;
+				case "importHistory":
+					await this.handleImportHistory(msg);
+					break;
+				case "exportHistory":
+					await this.handleExportHistory(msg);
+					break;
+				case "rebuildAggregates":
+					await this.handleRebuildAggregates(msg);
+					break;
+				case "update":
+					await this.handleUpdateState(msg);
+					break;
 				case "delete":
 					await this.handleDelete(msg);
 					break;
@@ -1354,6 +3831,9 @@ GROUP BY day`;
 				case "getHistory":
 					await this.handleGetHistory(msg);
 					break;
+				case "getHistoryMulti":
+					await this.handleGetHistoryMulti(msg);
+					break;
 				case "enableHistory":
 					await this.handleEnableHistory(msg);
 					break;
@@ -1363,6 +3843,25 @@ GROUP BY day`;
 				case "getEnabledDPs":
 					this.handleGetEnabledDPs(msg);
 					break;
+				case "renameHistory":
+				case "moveHistory":
+					await this.handleRenameHistory(msg);
+					break;
+				case "migrateStorage":
+					await this.handleMigrateStorage(msg);
+					break;
+				case "getStorageStats":
+					await this.handleGetStorageStats(msg);
+					break;
+				case "query":
+					await this.handleQuery(msg);
+					break;
+				case "findOrphans":
+					await this.handleFindOrphans(msg);
+					break;
+				case "cleanupOrphans":
+					await this.handleCleanupOrphans(msg);
+					break;
 				case "flushBuffer":
 					await this.flushBuffer(true);
 					if (msg.callback) {
@@ -1407,260 +3906,2714 @@ GROUP BY day`;
 		}
 	}
 
-	async handleUpdateState(msg) {
-		const id = msg.message?.id;
-		const state = msg.message?.state;
-		if (!id || !isObject(state) || typeof state.ts !== "number") {
-			throw new Error("update called with invalid payload");
+	/**
+	 * Imports history from another history instance (`instance`, `id`/`ids`, `start`, `end`) or from a CSV,
+	 * JSON or JSON lines file (`file`, optional `format`, `tsUnit` and `id` for files without an id column).
+	 * Progress is reported in the info.import states.
+	 */
+	async handleImportHistory(msg) {
+		const request = msg.message;
+		if (!isObject(request) || (!request.instance && !request.file)) {
+			throw new Error("importHistory requires an instance or a file");
 		}
-		await this.executeDelete(id, state.ts, state.ts);
-		await this.pushHistory(id, state, false, true);
-		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		if (this._import.running) {
+			throw new Error("Another import is still running");
+		}
+		Object.assign(this._import, {
+			running: true,
+			current: "",
+			progress: 0,
+			rows: 0,
+			skipped: 0,
+			previous: new Map(),
+			ranges: new Map(),
+		});
+		try {
+			await this.updateImportStates();
+			if (request.instance) {
+				await this.importFromInstance(request);
+			} else {
+				await this.importFromFile(request);
+			}
+			await this.rebuildImportedAggregates();
+			this._import.progress = 100;
+			this.log.info(`Imported ${this._import.rows} values, skipped ${this._import.skipped}`);
+			if (msg.callback) {
+				this.sendTo(
+					msg.from,
+					msg.command,
+					{ success: true, rows: this._import.rows, skipped: this._import.skipped },
+					msg.callback,
+				);
+			}
+		} finally {
+			Object.assign(this._import, { running: false, current: "", previous: new Map(), ranges: new Map() });
+			await this.updateImportStates();
 		}
 	}
 
-	async handleDelete(msg) {
-		const id = msg.message?.id;
-		const ts = msg.message?.ts;
-		if (!id || ts === undefined) {
-			throw new Error("delete called without id or ts");
+	/**
+	 * Pages through the history of `ids` in another history instance. Every getHistory call gives up after the
+	 * query timeout, so a stopped source instance fails the import instead of blocking further imports.
+	 */
+	async importFromInstance(request) {
+		const instance = String(request.instance).replace(/^system\.adapter\./, "");
+		const ids = Array.isArray(request.ids) ? request.ids.map(id => String(id)) : request.id ? [String(request.id)] : [];
+		if (!ids.length) {
+			throw new Error("importHistory from an instance requires id or ids");
 		}
-		if (Array.isArray(ts)) {
-			for (const single of ts) {
-				await this.executeDelete(id, single, single);
-			}
-		} else {
-			await this.executeDelete(id, ts, ts);
+		const end = parseTimestamp(request.end) ?? Date.now();
+		const start = parseTimestamp(request.start) ?? 0;
+		if (start > end) {
+			throw new Error("importHistory start must not be after end");
 		}
-		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		const timeout = this._runtimeOptions.queryTimeout * 1000;
+		for (let index = 0; index < ids.length; index++) {
+			const id = ids[index];
+			this._import.current = id;
+			// page through the range oldest first, the source returns at most IMPORT_BATCH_SIZE entries per call.
+			// Each page starts at the newest timestamp of the previous one, so rows sharing that timestamp are
+			// not lost at the page boundary; the ones already imported are counted in `boundary` and skipped.
+			let cursor = start;
+			let boundary = new Map();
+			for (;;) {
+				const response = /** @type {any} */ (
+					await this.sendToAsync(
+						instance,
+						"getHistory",
+						{
+							id,
+							options: {
+								start: cursor,
+								end,
+								aggregate: "none",
+								count: IMPORT_BATCH_SIZE,
+								ack: true,
+								q: true,
+								from: true,
+								ignoreNull: false,
+								returnNewestEntries: false,
+							},
+						},
+						{ timeout },
+					).catch(error => {
+						throw new Error(`getHistory of ${instance} failed for ${id}: ${extractError(error)}`);
+					})
+				);
+				if (response?.error) {
+					throw new Error(`getHistory of ${instance} failed for ${id}: ${extractError(response.error)}`);
+				}
+				const entries = Array.isArray(response?.result) ? response.result : [];
+				const fresh = entries.filter(entry => {
+					const ts = parseTimestamp(entry?.ts);
+					if (ts === undefined || ts > cursor) {
+						return true;
+					}
+					// older rows come from a source that ignores start, rows at the cursor may be known already
+					if (ts < cursor) {
+						return false;
+					}
+					const key = makeImportKey(entry);
+					const seen = boundary.get(key) || 0;
+					boundary.set(key, seen - 1);
+					return seen <= 0;
+				});
+				await this.importEntries(id, fresh, "ms");
+				const last = entries.reduce((newest, entry) => Math.max(newest, parseTimestamp(entry?.ts) ?? 0), cursor);
+				const share = end > start ? (last - start) / (end - start) : 1;
+				this._import.progress = Math.min(99, Math.round(((index + share) / ids.length) * 100));
+				await this.updateImportStates();
+				if (entries.length < IMPORT_BATCH_SIZE) {
+					break;
+				}
+				if (last <= cursor) {
+					this.log.warn(
+						`Stopped importing ${id} from ${instance} at ${new Date(cursor).toISOString()}: the next page did not advance`,
+					);
+					break;
+				}
+				boundary = new Map();
+				for (const entry of entries) {
+					if (parseTimestamp(entry?.ts) === last) {
+						const key = makeImportKey(entry);
+						boundary.set(key, (boundary.get(key) || 0) + 1);
+					}
+				}
+				cursor = last;
+			}
 		}
 	}
 
-	async handleDeleteRange(msg) {
-		const id = msg.message?.id;
-		const start = msg.message?.start;
-		const end = msg.message?.end;
-		if (!id || start === undefined || end === undefined) {
-			throw new Error("deleteRange requires id, start and end");
+	/**
+	 * Resolves `file` inside the imports folder of the instance data directory. Absolute paths and paths
+	 * that leave the folder are rejected, so a message cannot read arbitrary files of the host.
+	 */
+	resolveImportFile(file) {
+		const name = String(file);
+		if (path.isAbsolute(name)) {
+			throw new Error(`Cannot import ${name}: the file has to be given relative to the ${IMPORT_DIRECTORY} folder`);
 		}
-		await this.executeDelete(id, start, end);
-		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		const directory = path.join(utils.getAbsoluteInstanceDataDir(this), IMPORT_DIRECTORY);
+		const resolved = path.resolve(directory, name);
+		const relative = path.relative(directory, resolved);
+		if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+			throw new Error(`Cannot import ${name}: the file has to be inside the ${IMPORT_DIRECTORY} folder`);
 		}
+		return resolved;
 	}
 
-	async handleDeleteAll(msg) {
-		const id = msg.message?.id;
-		if (!id) {
-			throw new Error("deleteAll requires id");
+	async importFromFile(request) {
+		const file = this.resolveImportFile(request.file);
+		const unit = String(request.tsUnit || "auto").toLowerCase();
+		if (!IMPORT_TIME_UNITS.includes(unit)) {
+			throw new Error(`Cannot import ${file}: tsUnit must be one of ${IMPORT_TIME_UNITS.join(", ")}`);
 		}
-		await this.executeDelete(id);
-		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		const extension = path.extname(file).slice(1).toLowerCase();
+		const format = String(request.format || (extension === "ndjson" ? "jsonl" : extension)).toLowerCase();
+		if (!IMPORT_FORMATS.includes(format)) {
+			throw new Error(`Cannot import ${file}: format must be one of ${IMPORT_FORMATS.join(", ")}`);
+		}
+		const { size } = await fs.promises.stat(file);
+		const pending = new Map();
+		const collect = async entry => {
+			const id = entry?.id !== undefined && entry.id !== "" ? String(entry.id) : request.id ? String(request.id) : "";
+			if (!id) {
+				this._import.skipped++;
+				return;
+			}
+			const entries = pending.get(id) || [];
+			entries.push(entry);
+			pending.set(id, entries);
+			if (entries.length >= IMPORT_BATCH_SIZE) {
+				pending.delete(id);
+				this._import.current = id;
+				await this.importEntries(id, entries, unit);
+				await this.updateImportStates();
+			}
+		};
+
+		if (format === "json") {
+			const data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+			const entries = Array.isArray(data) ? data : Array.isArray(data?.result) ? data.result : null;
+			if (!entries) {
+				throw new Error(`Cannot import ${file}: expected an array of entries`);
+			}
+			for (const entry of entries) {
+				await collect(entry);
+			}
+		} else {
+			let bytes = 0;
+			let header = null;
+			let delimiter = ",";
+			const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+			for await (const line of lines) {
+				bytes += Buffer.byteLength(line) + 1;
+				if (!line.trim()) {
+					continue;
+				}
+				if (format === "jsonl") {
+					try {
+						await collect(JSON.parse(line));
+					} catch (error) {
+						this._import.skipped++;
+					}
+				} else if (!header) {
+					delimiter = line.includes(";") && !line.includes(",") ? ";" : ",";
+					header = parseCsvLine(line, delimiter).map(column => CSV_COLUMNS[column.trim().toLowerCase()]);
+					if (!header.includes("ts") || !header.includes("val")) {
+						throw new Error(`Cannot import ${file}: the CSV header needs a ts and a val column`);
+					}
+				} else {
+					const entry = {};
+					parseCsvLine(line, delimiter).forEach((field, index) => {
+						if (header[index]) {
+							entry[header[index]] = field;
+						}
+					});
+					entry.val = parseCsvValue(entry.val);
+					await collect(entry);
+				}
+				this._import.progress = size ? Math.min(99, Math.round((bytes / size) * 100)) : 0;
+			}
+		}
+		for (const [id, entries] of Array.from(pending.entries())) {
+			this._import.current = id;
+			await this.importEntries(id, entries, unit);
+		}
+		await this.updateImportStates();
+	}
+
+	/**
+	 * Writes imported entries of one datapoint straight into its raw table. Values are converted like live
+	 * values but bypass the change filters. The materialized views aggregate the inserted rows, which
+	 * backfills the hourly, daily and monthly tiers for the imported days. Numeric timestamps are read in
+	 * `unit`, see parseImportTimestamp.
+	 * The imported range of each datapoint is recorded for rebuildImportedAggregates.
+	 */
+	async importEntries(id, entries, unit) {
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		if (!entries.length) {
+			return;
+		}
+		const settings = this._tracked.get(id)?.config || this._defaults;
+		let sampleType = VALUE_TYPES.NULL;
+		for (const entry of entries) {
+			try {
+				sampleType = this.prepareValue(entry.val, settings).type;
+			} catch (error) {
+				continue;
+			}
+			if (sampleType !== VALUE_TYPES.NULL) {
+				break;
+			}
+		}
+		let tableInfo = this._tableCache.get(id);
+		const stored = Boolean(tableInfo);
+		if (!tableInfo) {
+			if (sampleType === VALUE_TYPES.NULL) {
+				this._import.skipped += entries.length;
+				return;
+			}
+			tableInfo = await this.ensureTableFor(id, sampleType);
+		} else if (this.shouldEvolveStorageType(tableInfo, sampleType, settings)) {
+			tableInfo = await this.evolveStorageType(id, tableInfo, sampleType);
+		}
+
+		const rows = [];
+		for (const entry of entries) {
+			const ts = parseImportTimestamp(entry?.ts, unit);
+			if (ts === undefined || entry.val === undefined) {
+				this._import.skipped++;
+				continue;
+			}
+			let converted;
+			try {
+				converted = this.prepareValue(entry.val, { ...settings, storageType: tableInfo.type });
+			} catch (error) {
+				converted = null;
+			}
+			if (!converted || (converted.type !== tableInfo.type && converted.type !== VALUE_TYPES.NULL)) {
+				this._import.skipped++;
+				continue;
+			}
+			rows.push({
+				ts,
+				row: this.buildRow(id, tableInfo, converted, {
+					ts,
+					lc: parseImportTimestamp(entry.lc, unit) ?? ts,
+					ack: entry.ack === undefined || entry.ack === "" ? true : isAcknowledgedFlag(entry.ack),
+					q: entry.q,
+					from: entry.from,
+				}),
+			});
+		}
+		// imported samples are linked among themselves; where they meet stored history or an earlier batch of
+		// the import, the links are wrong and rebuildImportedAggregates recomputes the buckets afterwards
+		rows.sort((a, b) => a.ts - b.ts);
+		this._lastSamples.delete(id);
+		if (rows.length) {
+			const start = rows[0].ts;
+			const end = rows[rows.length - 1].ts;
+			const range = this._import.ranges.get(id);
+			if (range) {
+				range.rebuild = range.rebuild || start <= range.end;
+				range.start = Math.min(range.start, start);
+				range.end = Math.max(range.end, end);
+			} else {
+				this._import.ranges.set(id, { start, end, rebuild: stored });
+			}
+		}
+		if (this.supportsContinuousAggregation(tableInfo.type)) {
+			const previousColumn = tableInfo.type === VALUE_TYPES.STRING ? "prev_text" : "prev_value";
+			for (const { ts, row } of rows) {
+				if (row.values.value === null) {
+					continue;
+				}
+				const previous = this._import.previous.get(id);
+				if (previous && previous.ts < ts) {
+					row.values.prev_ts = formatDateTime(previous.ts);
+					row.values[previousColumn] = previous.value;
+				}
+				this._import.previous.set(id, { ts, value: row.values.value });
+			}
+		}
+		for (let offset = 0; offset < rows.length; offset += IMPORT_BATCH_SIZE) {
+			const batch = rows.slice(offset, offset + IMPORT_BATCH_SIZE);
+			await client.insert({
+				table: this.getDataTable(tableInfo.table),
+				values: batch.map(item => this.formatInsertValues(item.row)),
+				format: "JSONEachRow",
+			});
+			this._import.rows += batch.length;
+		}
+	}
+
+	/**
+	 * Recomputes the aggregates of the imported ranges that met stored history or arrived out of order. The
+	 * materialized views linked the first imported sample to no predecessor and the next stored sample to its
+	 * old one, which gives wrong integrals, on-times and counter consumption. The rebuild reaches up to the
+	 * first stored sample after the range, whose segment the import split.
+	 */
+	async rebuildImportedAggregates() {
+		for (const [id, range] of Array.from(this._import.ranges.entries())) {
+			const info = this._tableCache.get(id);
+			if (!range.rebuild || !info || !this.supportsContinuousAggregation(info.type)) {
+				continue;
+			}
+			this._import.current = id;
+			try {
+				const params = /** @type {Record<string, unknown>} */ ({ end: range.end });
+				const source = this.getRawSource(id, info, params);
+				const rows = await this.runHistoryQuery(
+					`SELECT toUnixTimestamp64Milli(min(ts)) AS ts
+					FROM ${source.table}
+					WHERE ${[...source.conditions, `${source.value} IS NOT NULL`, "ts > fromUnixTimestamp64Milli({end:UInt64})"].join(" AND ")}`,
+					params,
+					this._client,
+				);
+				const next = Number(rows[0]?.ts);
+				await this.rebuildAggregatesFor(id, info, range.start, next > range.end ? next : range.end);
+			} catch (error) {
+				this.log.warn(`Cannot rebuild the aggregates of ${id} after the import, send rebuildAggregates for it: ${extractError(error)}`);
+			}
+		}
+	}
+
+	async updateImportStates() {
+		const updates = {
+			"info.import.running": this._import.running,
+			"info.import.current": this._import.current,
+			"info.import.progress": this._import.progress,
+			"info.import.rows": this._import.rows,
+			"info.import.skipped": this._import.skipped,
+		};
+		for (const [id, value] of Object.entries(updates)) {
+			await this.setStateChangedAsync(id, value, true).catch(error => {
+				this.log.debug(`Cannot update ${id}: ${extractError(error)}`);
+			});
+		}
+	}
+
+	/**
+	 * Writes the history of `ids` (or the registered ids matching `pattern`, `*` as wildcard) between `start` and
+	 * `end` to a CSV, JSON lines or Parquet file in the instance data directory. With `step` (ms), numeric
+	 * datapoints are exported as min/max/avg/last/count per step, read from the raw tables or the aggregate
+	 * tier named in `source`.
+	 */
+	async handleExportHistory(msg) {
+		const request = msg.message;
+		if (!isObject(request)) {
+			throw new Error("exportHistory called with invalid payload");
+		}
+		const client = this.getReadClient();
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const formatName = String(request.format || "csv").toLowerCase();
+		const format =
+			EXPORT_FORMATS[formatName] || Object.values(EXPORT_FORMATS).find(entry => entry.format.toLowerCase() === formatName);
+		if (!format) {
+			throw new Error(`exportHistory format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+		}
+		const end = parseTimestamp(request.end) ?? Date.now();
+		const start = parseTimestamp(request.start) ?? 0;
+		if (start > end) {
+			throw new Error("exportHistory start must not be after end");
+		}
+		const step = request.step === undefined ? 0 : parseInt(request.step, 10);
+		if (!(step >= 0)) {
+			throw new Error("exportHistory step must be a positive number of milliseconds");
+		}
+		const source = String(request.source || "raw").toLowerCase();
+		const tier = source === "raw" ? null : this.getAggregateTier(source);
+		if (source !== "raw" && (!tier || !step)) {
+			throw new Error(`exportHistory source ${source} requires a step and an enabled aggregate tier`);
+		}
+
+		await this.flushBuffer(true).catch(() => null);
+		const { ids, skipped } = this.resolveExportIds(request, step > 0);
+		if (!ids.length) {
+			throw new Error("exportHistory found no datapoints with history to export");
+		}
+
+		const params = /** @type {Record<string, unknown>} */ ({ start, end });
+		const query = step
+			? this.buildExportAggregateQuery(ids, tier, step, params)
+			: this.buildExportRawQuery(ids, params);
+
+		const directory = path.join(utils.getAbsoluteInstanceDataDir(this), EXPORT_DIRECTORY);
+		await fs.promises.mkdir(directory, { recursive: true });
+		const name = request.fileName
+			? path.basename(String(request.fileName))
+			: `history_${new Date().toISOString().replace(/[:.]/g, "-")}.${format.extension}`;
+		const file = path.join(directory, name);
+
+		const result = await client.exec({
+			query: `${query}\nFORMAT ${format.format}`,
+			query_params: params,
+			// the X-ClickHouse-Summary header then carries the final result_rows, so the rows need not be counted separately
+			clickhouse_settings: { wait_end_of_query: 1 },
+		});
+		const rows = result.summary?.result_rows === undefined ? null : Number(result.summary.result_rows);
+		// write to a temporary name first, so an aborted export never leaves a truncated file behind
+		const partial = `${file}.part`;
+		try {
+			await pipeline(result.stream, fs.createWriteStream(partial));
+			await fs.promises.rename(partial, file);
+		} catch (error) {
+			await fs.promises.unlink(partial).catch(() => null);
+			throw error;
+		}
+		this.log.info(`Exported ${rows ?? "all"} rows of ${ids.length} datapoints to ${file}`);
+
+		if (msg.callback) {
+			this.sendTo(
+				msg.from,
+				msg.command,
+				{ success: true, file, rows, ids, skipped },
+				msg.callback,
+			);
+		}
+	}
+
+	/**
+	 * Lists the registered datapoints whose id matches `pattern`, with `*` as wildcard.
+	 *
+	 * @param {string} pattern
+	 * @param {string[]} [ids] the ids to match instead of the cached registry
+	 * @returns {string[]}
+	 */
+	matchRegisteredIds(pattern, ids = Array.from(this._tableCache.keys())) {
+		const escaped = String(pattern)
+			.split("*")
+			.map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+			.join(".*");
+		const matcher = new RegExp(`^${escaped}$`);
+		return ids.filter(id => matcher.test(id)).sort();
+	}
+
+	resolveExportIds(request, numericOnly) {
+		let candidates;
+		if (request.pattern) {
+			candidates = this.matchRegisteredIds(request.pattern);
+		} else {
+			candidates = (Array.isArray(request.ids) ? request.ids : request.id ? [request.id] : []).map(id => String(id));
+			if (!candidates.length) {
+				throw new Error("exportHistory requires ids or a pattern");
+			}
+		}
+		const ids = [];
+		const skipped = [];
+		for (const id of candidates) {
+			const info = this._tableCache.get(id);
+			if (!info || (numericOnly && info.type !== VALUE_TYPES.NUMBER)) {
+				skipped.push(id);
+			} else {
+				ids.push(id);
+			}
+		}
+		return { ids, skipped };
+	}
+
+	buildExportRawQuery(ids, params) {
+		const sources = ids.flatMap((id, index) =>
+			this.getRawGenerations(this._tableCache.get(id)).map(generation => ({ id, index, generation })),
+		);
+		const types = new Set(sources.map(item => item.generation.type));
+		// UNION ALL needs one value type; mixed selections are exported as text
+		const asText = types.size > 1;
+		const selects = sources.map(({ id, index, generation }) => {
+			const source = this.getRawSource(id, generation, params, `id${index}`);
+			params[`id${index}`] = id;
+			let value;
+			if (generation.type === VALUE_TYPES.NUMBER) {
+				value = asText ? `toString(${source.value})` : `toNullable(toFloat64(${source.value}))`;
+			} else if (generation.type === VALUE_TYPES.BOOLEAN) {
+				value = asText ? `toString(CAST(${source.value} AS Nullable(Bool)))` : `CAST(${source.value} AS Nullable(Bool))`;
+			} else {
+				value = `toNullable(toString(${source.value}))`;
+			}
+			const where = [
+				...source.conditions,
+				"ts >= fromUnixTimestamp64Milli({start:UInt64})",
+				"ts <= fromUnixTimestamp64Milli({end:UInt64})",
+			];
+			return `SELECT {id${index}:String} AS id, ts, ${value} AS value, ack, q, \`from\`, lc
+			FROM ${source.table}
+			WHERE ${where.join(" AND ")}`;
+		});
+		return `SELECT * FROM (${selects.join("\nUNION ALL\n")}) ORDER BY id, ts`;
+	}
+
+	buildExportAggregateQuery(ids, tier, step, params) {
+		params.step = step;
+		const bucket = `fromUnixTimestamp64Milli(${this.stepBucketMs("period", step)}, 'UTC')`;
+		if (tier) {
+			params.ids = ids;
+			const column = tier.bucketColumn;
+			return `SELECT
+				id,
+				${bucket} AS ts,
+				min(p_min) AS min,
+				max(p_max) AS max,
+				sum(p_avg * p_samples) / sum(p_samples) AS avg,
+				argMax(p_last, period) AS last,
+				sum(p_samples) AS count
+			FROM (
+				SELECT
+					id,
+					toDateTime64(${this.tierBucketStart(tier, column)}, 3, 'UTC') AS period,
+					\`min\` AS p_min,
+					\`max\` AS p_max,
+					\`avg\` AS p_avg,
+					\`last\` AS p_last,
+					samples AS p_samples
+				FROM ${tier.viewIdentifier}
+				WHERE id IN {ids:Array(String)}
+					AND ${column} >= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({start:UInt64})")}
+					AND ${column} <= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({end:UInt64})")}
+			)
+			GROUP BY id, ts
+			ORDER BY id, ts`;
+		}
+		// aggregations use the current generation, like getHistory
+		const selects = ids.map((id, index) => {
+			const info = this._tableCache.get(id);
+			const source = this.getRawSource(id, info, params, `id${index}`);
+			params[`id${index}`] = id;
+			const where = [
+				...source.conditions,
+				`${source.value} IS NOT NULL`,
+				"ts >= fromUnixTimestamp64Milli({start:UInt64})",
+				"ts <= fromUnixTimestamp64Milli({end:UInt64})",
+			];
+			return `SELECT {id${index}:String} AS id, ts AS period, toFloat64(assumeNotNull(${source.value})) AS val
+			FROM ${source.table}
+			WHERE ${where.join(" AND ")}`;
+		});
+		return `SELECT
+			id,
+			${bucket} AS ts,
+			min(val) AS min,
+			max(val) AS max,
+			avg(val) AS avg,
+			argMax(val, period) AS last,
+			count() AS count
+		FROM (${selects.join("\nUNION ALL\n")})
+		GROUP BY id, ts
+		ORDER BY id, ts`;
+	}
+
+	async handleUpdateState(msg) {
+		const id = msg.message?.id;
+		const state = msg.message?.state;
+		if (!id || !isObject(state) || typeof state.ts !== "number") {
+			throw new Error("update called with invalid payload");
+		}
+		await this.executeDelete(id, state.ts, state.ts);
+		await this.pushHistory(id, state, false, true);
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	async handleDelete(msg) {
+		const id = msg.message?.id;
+		const ts = msg.message?.ts;
+		if (!id || ts === undefined) {
+			throw new Error("delete called without id or ts");
+		}
+		if (Array.isArray(ts)) {
+			for (const single of ts) {
+				await this.executeDelete(id, single, single);
+			}
+		} else {
+			await this.executeDelete(id, ts, ts);
+		}
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	async handleDeleteRange(msg) {
+		const id = msg.message?.id;
+		const start = msg.message?.start;
+		const end = msg.message?.end;
+		if (!id || start === undefined || end === undefined) {
+			throw new Error("deleteRange requires id, start and end");
+		}
+		await this.executeDelete(id, start, end);
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	async handleDeleteAll(msg) {
+		const id = msg.message?.id;
+		if (!id) {
+			throw new Error("deleteAll requires id");
+		}
+		await this.executeDelete(id);
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	async executeDelete(id, start, end) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		await this.flushBuffer(true).catch(() => null);
+		let tableInfo = null;
+		try {
+			tableInfo = await this.resolveTableInfo(id);
+		} catch (error) {
+			this.log.debug(`Skip delete for ${id}: ${extractError(error)}`);
+			return;
+		}
+		if (!tableInfo) {
+			return;
+		}
+		const parameters = /** @type {Record<string, unknown>} */ ({});
+		const conditions = [];
+		const normalizeTs = value => {
+			if (value === undefined || value === null) {
+				return undefined;
+			}
+			if (typeof value === "number" && !isNaN(value)) {
+				return Math.trunc(value);
+			}
+			const parsed = new Date(value).getTime();
+			return isNaN(parsed) ? undefined : Math.trunc(parsed);
+		};
+		const normalizedStart = normalizeTs(start);
+		const normalizedEnd = normalizeTs(end);
+		if (normalizedStart !== undefined && normalizedEnd !== undefined) {
+			parameters.start = normalizedStart;
+			parameters.end = normalizedEnd;
+			conditions.push("ts BETWEEN fromUnixTimestamp64Milli({start:UInt64}) AND fromUnixTimestamp64Milli({end:UInt64})");
+		} else if (normalizedStart !== undefined) {
+			parameters.start = normalizedStart;
+			conditions.push("ts = fromUnixTimestamp64Milli({start:UInt64})");
+		}
+		// older storage generations are deleted as well, in the wide table the id condition covers all of them
+		for (const table of this.getRawTables(tableInfo)) {
+			const source = this.getRawSource(id, { table, type: tableInfo.type }, parameters);
+			const where = [...source.conditions, ...conditions];
+			const query = `ALTER TABLE ${this.quoteIdent(table)}${this.onCluster()} DELETE WHERE ${where.length ? where.join(" AND ") : "1"}`;
+			const commandOptions = {
+				query,
+				// the aggregates are recomputed from the remaining rows right after
+				clickhouse_settings: this.mutationSettings(),
+			};
+			if (Object.keys(parameters).length) {
+				commandOptions.query_params = parameters;
+			}
+			await this._client.command(commandOptions);
+		}
+
+		this._lastSamples.delete(id);
+		if (normalizedStart === undefined) {
+			await this.deleteAggregateStates(id, tableInfo);
+		} else {
+			await this.rebuildAggregatesFor(id, tableInfo, normalizedStart, normalizedEnd ?? normalizedStart);
+		}
+	}
+
+	async deleteAggregateStates(id, tableInfo) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		for (const tier of Array.from(this._aggregateTiers.values())) {
+			for (const type of this.getAggregateTypes(tableInfo)) {
+				await this._client.command({
+					query: `ALTER TABLE ${this.getTierTables(tier, type).stateIdentifier}${this.onCluster()} DELETE WHERE id = {id:String}`,
+					query_params: { id: String(id) },
+				});
+			}
+		}
+	}
+
+	/**
+	 * Recomputes the aggregate tiers from the raw tables for `id`/`ids`, the registered ids matching `pattern`,
+	 * or all numeric, boolean and string datapoints, optionally limited to the buckets touching `start`..`end`.
+	 */
+	async handleRebuildAggregates(msg) {
+		const request = isObject(msg.message) ? msg.message : {};
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const start = parseTimestamp(request.start);
+		const end = parseTimestamp(request.end);
+		if (start !== undefined && end !== undefined && start > end) {
+			throw new Error("rebuildAggregates start must not be after end");
+		}
+		let ids;
+		if (request.pattern) {
+			ids = this.matchRegisteredIds(request.pattern);
+		} else if (Array.isArray(request.ids) || request.id) {
+			ids = (Array.isArray(request.ids) ? request.ids : [request.id]).map(id => String(id));
+		} else {
+			ids = Array.from(this._tableCache.keys()).sort();
+		}
+
+		if (this._import.running) {
+			throw new Error("Aggregates cannot be rebuilt while an import is running");
+		}
+		await this.flushBuffer(true).catch(() => null);
+		const rebuilt = [];
+		const skipped = [];
+		const failed = [];
+		for (const id of ids) {
+			const info = this._tableCache.get(id);
+			try {
+				if (info && (await this.rebuildAggregatesFor(id, info, start, end))) {
+					rebuilt.push(id);
+				} else {
+					skipped.push(id);
+				}
+			} catch (error) {
+				this.log.warn(`Cannot rebuild aggregates of ${id}: ${extractError(error)}`);
+				failed.push({ id, error: extractError(error) });
+			}
+		}
+		this.log.info(`Rebuilt aggregates of ${rebuilt.length} datapoints${failed.length ? `, ${failed.length} failed` : ""}`);
+
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: !failed.length, rebuilt, skipped, failed }, msg.callback);
+		}
+	}
+
+	async handleGetHistory(msg) {
+		const id = msg.message?.id;
+		const options = msg.message?.options || {};
+		if (!id || !isObject(options)) {
+			throw new Error("getHistory called with invalid payload");
+		}
+		this.log.debug(
+			`History request for ${id} with options ${JSON.stringify({ ...options, password: undefined })}`,
+		);
+		const { aggregate, source } = this.resolveHistoryRequest(options);
+
+		// see getReadClient, with a read endpoint the flushed values can still be missing from the result
+		await this.flushBuffer(true).catch(() => null);
+
+		let tableInfo = null;
+		try {
+			tableInfo = await this.resolveTableInfo(id);
+		} catch (error) {
+			this.log.debug(`History request skipped for ${id}: ${extractError(error)}`);
+		}
+		if (!tableInfo) {
+			if (msg.callback) {
+				this.sendTo(msg.from, msg.command, { result: [], step: null, error: null }, msg.callback);
+			}
+			return;
+		}
+
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+
+		const response = await this.queryHistory(id, tableInfo, options, aggregate, source);
+		this.log.debug(`History response for ${id}: returned ${response.result.length} data points`);
+
+		if (msg.callback) {
+			this.sendTo(
+				msg.from,
+				msg.command,
+				{ result: response.result, step: response.step, error: null },
+				msg.callback,
+			);
+		}
+	}
+
+	/**
+	 * getHistory for several datapoints with shared options: `{ ids: [...], options }` replies with the points per
+	 * ID in `result`. The buffer is flushed once, and the datapoints whose request is served from the raw rows of
+	 * one storage generation are read with one UNION ALL query per value type; the others, e.g. ranges beyond the
+	 * raw retention, go through getHistory one by one. `options.align: true` puts every series on the same step
+	 * grid, see alignHistoryResults. Errors of single datapoints are returned in `errors`.
+	 */
+	async handleGetHistoryMulti(msg) {
+		const ids = msg.message?.ids;
+		const options = msg.message?.options || {};
+		if (!Array.isArray(ids) || !ids.length || !isObject(options)) {
+			throw new Error("getHistoryMulti requires ids and options");
+		}
+		const { aggregate, source } = this.resolveHistoryRequest(options);
+		const align = parseBool(options.align, false);
+		if (align && ["none", "onchange", "minmax"].includes(aggregate)) {
+			throw new Error("getHistoryMulti align requires an aggregate with one value per step");
+		}
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const requested = Array.from(new Set(ids.map(id => String(id))));
+		this.log.debug(`History request for ${requested.length} datapoints with options ${JSON.stringify(options)}`);
+
+		await this.flushBuffer(true).catch(() => null);
+		const infos = await this.resolveTableInfos(requested);
+		const raw = aggregate === "none" || aggregate === "onchange";
+		const window = raw ? null : this.resolveAggregateWindow(options);
+		const requestedStart = window ? window.start : parseTimestamp(options.start);
+
+		const result = {};
+		const errors = {};
+		// datapoints the raw rows of their only generation can serve
+		const batched = [];
+		const candidates = [];
+		for (const id of requested) {
+			result[id] = [];
+			const info = infos.get(id);
+			if (!info) {
+				continue;
+			}
+			let mode;
+			try {
+				mode = this.resolveHistoryMode(id, info, aggregate);
+			} catch (error) {
+				errors[id] = extractError(error);
+				continue;
+			}
+			if (mode.stateAggregate || this.getRawGenerations(info).length > 1 || (source !== "auto" && source !== "raw")) {
+				continue;
+			}
+			const tiered =
+				source === "auto" &&
+				info.type === VALUE_TYPES.NUMBER &&
+				this._aggregateTiers.size > 0 &&
+				!this.hasMetadataFilters(options);
+			(tiered ? candidates : batched).push(id);
+		}
+		if (candidates.length && requestedStart !== undefined) {
+			// as in planHistorySegments, a request that starts within the raw rows needs no aggregate tier
+			const oldest = await this.getOldestRawTimestamps(candidates, infos);
+			batched.push(...candidates.filter(id => oldest.get(id) !== null && requestedStart >= Number(oldest.get(id))));
+		}
+
+		const byType = new Map();
+		for (const id of batched) {
+			const type = infos.get(id)?.type;
+			byType.set(type, [...(byType.get(type) || []), id]);
+		}
+		for (const group of Array.from(byType.values())) {
+			for (let offset = 0; offset < group.length; offset += HISTORY_BATCH_SIZE) {
+				const chunk = group.slice(offset, offset + HISTORY_BATCH_SIZE);
+				Object.assign(result, await this.queryHistoryBatch(chunk, infos, options, aggregate, window));
+			}
+		}
+		const batchedIds = new Set(batched);
+		for (const id of requested) {
+			const info = infos.get(id);
+			if (!info || batchedIds.has(id) || errors[id]) {
+				continue;
+			}
+			try {
+				result[id] = (await this.queryHistory(id, info, options, aggregate, source)).result;
+			} catch (error) {
+				errors[id] = extractError(error);
+			}
+		}
+		if (align && window) {
+			this.alignHistoryResults(result, requested.filter(id => !errors[id]), window, options);
+		}
+		this.log.debug(
+			`History response for ${requested.length} datapoints: ${batched.length} read in one query per value type, ${requested.length - batched.length} one by one`,
+		);
+
+		if (msg.callback) {
+			/** @type {Record<string, unknown>} */
+			const reply = { result, step: window ? window.step : null, error: null };
+			if (Object.keys(errors).length) {
+				reply.errors = errors;
+			}
+			this.sendTo(msg.from, msg.command, reply, msg.callback);
+		}
+	}
+
+	/**
+	 * Looks up the table info of several datapoints, the ones missing in the cache with one registry query.
+	 * Datapoints without history are left out.
+	 *
+	 * @param {string[]} ids
+	 * @returns {Promise<Map<string, { table: string; type: string; generations?: { table: string; type: string }[] }>>}
+	 */
+	async resolveTableInfos(ids) {
+		const infos = new Map();
+		const missing = [];
+		for (const id of ids) {
+			const info = this._tableCache.get(id);
+			if (info) {
+				infos.set(id, info);
+			} else {
+				missing.push(id);
+			}
+		}
+		if (missing.length && this._client) {
+			try {
+				const rows = await this.runHistoryQuery(
+					`SELECT id, table, type, generations FROM ${this.getDataIdentifier(this._registryTable)} FINAL WHERE id IN {ids:Array(String)}`,
+					{ ids: missing },
+					this._client,
+				);
+				for (const row of rows) {
+					if (row.id && row.table && row.type) {
+						const info = this.parseRegistryRow(row);
+						this._tableCache.set(String(row.id), info);
+						infos.set(String(row.id), info);
+					}
+				}
+			} catch (error) {
+				this.log.debug(`Cannot resolve tables for ${missing.length} datapoints: ${extractError(error)}`);
+			}
+		}
+		return infos;
+	}
+
+	/**
+	 * getOldestRawTimestamp for several datapoints with one query; `null` marks datapoints without raw rows.
+	 *
+	 * @returns {Promise<Map<string, number | null>>}
+	 */
+	async getOldestRawTimestamps(ids, infos) {
+		const oldest = new Map();
+		for (let offset = 0; offset < ids.length; offset += HISTORY_BATCH_SIZE) {
+			const chunk = ids.slice(offset, offset + HISTORY_BATCH_SIZE);
+			const params = /** @type {Record<string, unknown>} */ ({});
+			const queries = chunk.map((id, index) => {
+				const source = this.getRawSource(id, infos.get(id), params, `rawId${index}`);
+				return `SELECT ${index} AS part, toUnixTimestamp64Milli(minOrNull(ts)) AS oldest FROM ${source.table}${source.conditions.length ? ` WHERE ${source.conditions.join(" AND ")}` : ""}`;
+			});
+			for (const row of await this.runHistoryQuery(queries.join("\nUNION ALL\n"), params)) {
+				oldest.set(chunk[Number(row.part)], row.oldest === null || row.oldest === undefined ? null : Number(row.oldest));
+			}
+		}
+		return oldest;
+	}
+
+	/**
+	 * Reads the raw or aggregated history of datapoints of one value type with a single UNION ALL query. Each
+	 * part is the query getHistory runs for the datapoint, tagged with its position in `ids`.
+	 *
+	 * @returns {Promise<Record<string, any[]>>}
+	 */
+	async queryHistoryBatch(ids, infos, options, aggregate, window) {
+		const params = /** @type {Record<string, unknown>} */ ({});
+		const limit = parseInt(options.limit, 10) || parseInt(options.count, 10) || 2000;
+		const queries = ids.map((id, index) => {
+			const query = window
+				? this.buildAggregatedHistoryQuery(id, infos.get(id), options, aggregate, window, params, `rawId${index}`)
+				: this.buildRawGenerationQuery(id, infos.get(id), options, limit, params, `rawId${index}`);
+			return `SELECT ${index} AS part, * FROM (${query})`;
+		});
+		const rows = await this.runHistoryQuery(queries.join("\nUNION ALL\n"), params);
+
+		const parts = ids.map(() => /** @type {any[]} */ ([]));
+		for (const row of rows) {
+			parts[Number(row.part)].push(row);
+		}
+		const order = options.returnNewestEntries ? -1 : 1;
+		/** @type {Record<string, any[]>} */
+		const result = {};
+		ids.forEach((id, index) => {
+			const type = infos.get(id).type;
+			// UNION ALL keeps no order between the rows of a part
+			const sortKey = window ? "bucket" : "ts";
+			const sorted = parts[index].sort((a, b) => order * (Number(a[sortKey]) - Number(b[sortKey])));
+			let points;
+			if (window) {
+				points = this.mapAggregateRows(
+					sorted,
+					id,
+					options,
+					aggregate,
+					aggregate === "first" || aggregate === "last" ? type : VALUE_TYPES.NUMBER,
+				);
+				const maxPoints = parseInt(options.limit, 10);
+				if (maxPoints > 0 && points.length > maxPoints) {
+					points = points.slice(0, maxPoints);
+				}
+			} else {
+				points = sorted.map(row => this.mapRowToHistory(row, id, options.addId, type));
+				if (options.ignoreNull !== false) {
+					points = points.filter(item => item.val !== null);
+				}
+				if (aggregate === "onchange") {
+					points = reduceOnChange(points);
+				}
+			}
+			result[id] = points;
+		});
+		return result;
+	}
+
+	/**
+	 * Puts the aggregated series of getHistoryMulti on one grid: every series in `ids` gets a point in the middle
+	 * of each step of the window, `val: null` where it has no value, so overlay charts share their timestamps.
+	 */
+	alignHistoryResults(result, ids, window, options) {
+		const timezone = this._runtimeOptions.aggregationTimezone;
+		const buckets = [];
+		for (let bucket = floorToStep(window.start, window.step, timezone); bucket <= window.end; ) {
+			buckets.push(bucket);
+			if (buckets.length > MAX_ALIGNED_POINTS) {
+				throw new Error(`getHistoryMulti align supports up to ${MAX_ALIGNED_POINTS} steps, use a larger step`);
+			}
+			// steps of whole days vary with daylight saving time, the next one is found from its middle
+			const slack = window.step % DAY_MS === 0 ? DAY_MS / 2 : 0;
+			bucket = floorToStep(bucket + window.step + slack, window.step, timezone);
+		}
+		if (options.returnNewestEntries) {
+			buckets.reverse();
+		}
+		for (const id of ids) {
+			const points = new Map();
+			for (const point of result[id]) {
+				const bucket = floorToStep(point.ts, window.step, timezone);
+				if (!points.has(bucket)) {
+					points.set(bucket, point);
+				}
+			}
+			result[id] = buckets.map(bucket => {
+				const ts = bucket + Math.floor(window.step / 2);
+				const point = points.get(bucket);
+				if (point) {
+					return { ...point, ts };
+				}
+				const entry = { val: null, ts, ack: true, q: 0, from: "" };
+				return options.addId ? { ...entry, id } : entry;
+			});
+		}
+	}
+
+	/**
+	 * Reads the aggregate and the source of a getHistory request.
+	 *
+	 * @returns {{ aggregate: string; source: string }}
+	 */
+	resolveHistoryRequest(options) {
+		const aggregate = String(options.aggregate || "none").toLowerCase();
+		if (!HISTORY_AGGREGATES.includes(aggregate)) {
+			throw new Error(`Aggregation ${aggregate} is not supported`);
+		}
+		const source = String(options.source || "auto").toLowerCase();
+		if (!HISTORY_SOURCES.includes(source)) {
+			throw new Error(`History source ${source} is not supported`);
+		}
+		return { aggregate, source };
+	}
+
+	/**
+	 * Tells how an aggregate is computed for the value type of a datapoint: `raw` returns the stored values,
+	 * `stateAggregate` uses the boolean and string pipelines, everything else the numeric one.
+	 *
+	 * @returns {{ raw: boolean; stateAggregate: boolean }}
+	 */
+	resolveHistoryMode(id, tableInfo, aggregate) {
+		const raw = aggregate === "none" || aggregate === "onchange";
+		const stateAggregate = Boolean(STATE_AGGREGATES[tableInfo.type]?.has(aggregate));
+		if (!raw && !stateAggregate && NUMERIC_AGGREGATES.has(aggregate) && tableInfo.type !== VALUE_TYPES.NUMBER) {
+			throw new Error(`Aggregation ${aggregate} requires numeric values, but ${id} stores ${tableInfo.type}`);
+		}
+		if (!stateAggregate && (aggregate === "switches" || aggregate === "distribution")) {
+			throw new Error(`Aggregation ${aggregate} is not available for ${tableInfo.type} values of ${id}`);
+		}
+		if (aggregate === "rate" && !this.isCounter(id)) {
+			throw new Error(`Aggregation rate requires a counter, but ${id} is not configured as one`);
+		}
+		return { raw, stateAggregate };
+	}
+
+	async queryHistory(id, tableInfo, options, aggregate, source) {
+		const { raw, stateAggregate } = this.resolveHistoryMode(id, tableInfo, aggregate);
+		const window = raw ? null : this.resolveAggregateWindow(options);
+		const requestedStart = window ? window.start : parseTimestamp(options.start);
+		const end = window ? window.end : parseTimestamp(options.end);
+		const segments = await this.planHistorySegments(
+			id,
+			tableInfo,
+			options,
+			source,
+			requestedStart,
+			window ? window.step : null,
+			stateAggregate || tableInfo.type === VALUE_TYPES.NUMBER,
+		);
+
+		const parts = [];
+		let from = requestedStart;
+		for (const segment of segments) {
+			const segmentStart = from;
+			if (segment.until !== Infinity) {
+				from = segmentStart === undefined ? segment.until : Math.max(segmentStart, segment.until);
+			}
+			if (segmentStart !== undefined && segment.until !== Infinity && segmentStart >= segment.until) {
+				continue;
+			}
+			if (end !== undefined && segmentStart !== undefined && end < segmentStart) {
+				continue;
+			}
+			if (segment.tier && stateAggregate) {
+				parts.push(
+					await this.queryTierStateHistory(id, tableInfo.type, segment.tier, options, aggregate, window, segmentStart, segment.until),
+				);
+			} else if (segment.tier) {
+				parts.push(
+					await this.queryTierHistory(id, segment.tier, options, aggregate, window, segmentStart, segment.until),
+				);
+			} else if (raw) {
+				parts.push((await this.queryRawHistory(id, tableInfo, { ...options, start: segmentStart }, "none")).result);
+			} else if (window) {
+				const rawWindow = { ...window, start: segmentStart ?? window.start };
+				parts.push(
+					stateAggregate
+						? await this.queryRawStateHistory(id, tableInfo, options, aggregate, rawWindow)
+						: (await this.queryAggregatedHistory(id, tableInfo, options, aggregate, rawWindow)).result,
+				);
+			}
+		}
+
+		if (options.returnNewestEntries) {
+			parts.reverse();
+		}
+		let result = /** @type {any[]} */ ([]).concat(...parts);
+		if (aggregate === "onchange") {
+			result = reduceOnChange(result);
+		}
+		const limit = raw
+			? parseInt(options.limit, 10) || parseInt(options.count, 10) || 2000
+			: parseInt(options.limit, 10);
+		if (limit > 0 && result.length > limit) {
+			result = result.slice(0, limit);
+		}
+		return { result, step: window ? window.step : null };
+	}
+
+	/**
+	 * Splits a history request into segments, oldest first. Every aggregate segment serves the buckets before
+	 * `until` (exclusive, aligned to the tier's buckets); the raw segment serves everything after the last one.
+	 * Aged-out ranges cascade from the raw table to the finest aggregate tier that still holds data.
+	 * `aggregated` tells whether the tiers can serve the request at all.
+	 */
+	async planHistorySegments(id, tableInfo, options, source, requestedStart, step, aggregated) {
+		if (source === "raw" || !aggregated || !this._aggregateTiers.size) {
+			return [{ tier: null, until: Infinity }];
+		}
+		if (this.hasMetadataFilters(options)) {
+			// aggregate tiers do not keep ack/q, so filtered requests can only be served from raw rows
+			if (source !== "auto") {
+				throw new Error(`History source ${source} does not support ack or q filters`);
+			}
+			return [{ tier: null, until: Infinity }];
+		}
+		if (source !== "auto") {
+			const tier = this.getAggregateTier(source);
+			if (!tier) {
+				throw new Error(`History source ${source} is not available`);
+			}
+			return [{ tier, until: Infinity }];
+		}
+
+		const segments = [];
+		const rawOldest = await this.getOldestRawTimestamp(id, tableInfo);
+		let coveredFrom = Infinity;
+		if (rawOldest !== null) {
+			segments.push({ tier: null, until: Infinity });
+			coveredFrom = rawOldest;
+		}
+		for (const tier of this.selectHistoryTiers(step)) {
+			if (requestedStart !== undefined && requestedStart >= coveredFrom) {
+				break;
+			}
+			const until = coveredFrom === Infinity ? Infinity : floorToTierBucket(tier, coveredFrom);
+			const oldest = await this.getOldestTierTimestamp(tier, id, tableInfo.type);
+			if (oldest === null || oldest >= until) {
+				continue;
+			}
+			segments.unshift({ tier, until });
+			coveredFrom = oldest;
+		}
+		return segments.length ? segments : [{ tier: null, until: Infinity }];
+	}
+
+	selectHistoryTiers(step) {
+		const tiers = Array.from(this._aggregateTiers.values());
+		if (step === null) {
+			return tiers;
+		}
+		// start with the coarsest tier whose buckets still fit into one step, finer tiers would only cost time
+		let index = 0;
+		tiers.forEach((tier, position) => {
+			if (tier.bucketMs <= step) {
+				index = position;
+			}
+		});
+		return tiers.slice(index);
+	}
+
+	async getOldestRawTimestamp(id, tableInfo) {
+		const params = /** @type {Record<string, unknown>} */ ({});
+		const source = this.getRawSource(id, tableInfo, params);
+		const rows = await this.runHistoryQuery(
+			`SELECT toUnixTimestamp64Milli(minOrNull(ts)) AS oldest FROM ${source.table}${source.conditions.length ? ` WHERE ${source.conditions.join(" AND ")}` : ""}`,
+			params,
+		);
+		const oldest = rows[0]?.oldest;
+		return oldest === null || oldest === undefined ? null : Number(oldest);
+	}
+
+	async getOldestTierTimestamp(tier, id, type) {
+		const rows = await this.runHistoryQuery(
+			`SELECT
+				count() AS buckets,
+				${this.tierBucketStartMs(tier, `min(${tier.bucketColumn})`)} AS oldest
+			FROM ${this.getDataIdentifier(this.getTierTables(tier, type).stateTable)}
+			WHERE id = {id:String}`,
+			{ id: String(id) },
+		);
+		if (!rows.length || !Number(rows[0].buckets)) {
+			return null;
+		}
+		return Number(rows[0].oldest);
+	}
+
+	async queryRawHistory(id, tableInfo, options, aggregate) {
+		const limit = parseInt(options.limit, 10) || parseInt(options.count, 10) || 2000;
+		const generations = this.getRawGenerations(tableInfo);
+		let data = [];
+		// every storage generation is read with its own type; each query is limited, so the merge stays bounded
+		for (const generation of generations) {
+			data = data.concat(await this.queryRawGeneration(id, generation, options, limit));
+		}
+		if (generations.length > 1) {
+			data.sort((a, b) => (options.returnNewestEntries ? b.ts - a.ts : a.ts - b.ts));
+			if (limit > 0 && data.length > limit) {
+				data = data.slice(0, limit);
+			}
+		}
+		const filtered = options.ignoreNull === false ? data : data.filter(item => item.val !== null);
+		return {
+			result: aggregate === "onchange" ? reduceOnChange(filtered) : filtered,
+			step: null,
+		};
+	}
+
+	async queryRawGeneration(id, tableInfo, options, limit) {
+		const params = /** @type {Record<string, unknown>} */ ({});
+		const rows = await this.runHistoryQuery(this.buildRawGenerationQuery(id, tableInfo, options, limit, params), params);
+		return rows.map(row => this.mapRowToHistory(row, id, options.addId, tableInfo.type));
+	}
+
+	/**
+	 * Builds the query of queryRawGeneration. Apart from the datapoint's `idParam`, all datapoints of a request
+	 * use the same parameters, so getHistoryMulti can combine the queries of several datapoints.
+	 *
+	 * @param {Record<string, unknown>} params query parameters, extended in place
+	 * @returns {string}
+	 */
+	buildRawGenerationQuery(id, tableInfo, options, limit, params, idParam = "rawId") {
+		const source = this.getRawSource(id, tableInfo, params, idParam);
+		const where = [...source.conditions];
+
+		const start = parseTimestamp(options.start);
+		if (start !== undefined) {
+			params.start = start;
+			where.push("ts >= fromUnixTimestamp64Milli({start:UInt64})");
+		}
+		const end = parseTimestamp(options.end);
+		if (end !== undefined) {
+			params.end = end;
+			where.push("ts <= fromUnixTimestamp64Milli({end:UInt64})");
+		}
+
+		where.push(...this.buildMetadataFilters(options, params));
+
+		if (limit > 0) {
+			params.limit = limit;
+		}
+
+		const order = options.returnNewestEntries ? "DESC" : "ASC";
+		const query = `SELECT
+			toUnixTimestamp64Milli(ts) AS ts,
+			${source.value} AS value,
+			ack,
+			q,
+			\`from\`,
+			toUnixTimestamp64Milli(lc) AS lc
+		FROM ${source.table}
+		${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+		ORDER BY ts ${order}
+		${limit > 0 ? "LIMIT {limit:UInt32}" : ""}`;
+		return query;
+	}
+
+	/**
+	 * Translates the optional `ackOnly` and `q` getHistory filters into WHERE
+	 * conditions on the raw metadata columns.
+	 *
+	 * @param {Record<string, any>} options
+	 * @param {Record<string, unknown>} params query parameters, extended in place
+	 * @returns {string[]}
+	 */
+	buildMetadataFilters(options, params) {
+		const conditions = [];
+		if (options.ackOnly === true || options.ack === true) {
+			conditions.push("ack = 1");
+		} else if (options.ack === false) {
+			conditions.push("ack = 0");
+		}
+		if (options.q !== undefined && options.q !== null && options.q !== "") {
+			const qualities = (Array.isArray(options.q) ? options.q : [options.q]).map(q => parseInt(q, 10));
+			if (qualities.some(q => !Number.isInteger(q) || q < 0)) {
+				throw new Error("getHistory q must be a non-negative integer or a list of them");
+			}
+			params.qualities = qualities;
+			conditions.push("q IN {qualities:Array(UInt16)}");
+		}
+		return conditions;
+	}
+
+	hasMetadataFilters(options) {
+		return options.ackOnly === true || typeof options.ack === "boolean" || (options.q !== undefined && options.q !== null && options.q !== "");
+	}
+
+	resolveAggregateWindow(options) {
+		const end = parseTimestamp(options.end) ?? Date.now();
+		const start = parseTimestamp(options.start) ?? end - DEFAULT_AGGREGATE_RANGE;
+		if (start > end) {
+			throw new Error("getHistory start must not be after end");
+		}
+		let step = parseInt(options.step, 10);
+		if (!(step > 0)) {
+			const count = parseInt(options.count, 10) || DEFAULT_AGGREGATE_COUNT;
+			step = Math.ceil((end - start) / count);
+		}
+		return { start, end, step: Math.max(step, 1) };
+	}
+
+	resolveQuantileLevel(options, aggregate) {
+		let level;
+		if (aggregate === "percentile") {
+			const percentile = options.percentile === undefined ? 50 : Number(options.percentile);
+			level = percentile / 100;
+		} else {
+			level = options.quantile === undefined ? 0.5 : Number(options.quantile);
+		}
+		if (!isFinite(level) || level < 0 || level > 1) {
+			throw new Error(`Invalid ${aggregate} level for getHistory`);
+		}
+		return level;
+	}
+
+	resolveIntegralUnit(options) {
+		const unit = parseNumber(options.integralUnit, 60);
+		return (unit > 0 ? unit : 60) * 1000;
+	}
+
+	/**
+	 * Time unit of the `rate` aggregate in milliseconds, `rateUnit` is given in seconds and defaults to an hour.
+	 */
+	resolveRateUnit(options) {
+		const unit = parseNumber(options.rateUnit, 3600);
+		return (unit > 0 ? unit : 3600) * 1000;
+	}
+
+	/**
+	 * Whether a datapoint is configured as cumulative counter. `total` then sums its consumption instead of
+	 * its readings, and `rate` gives the consumption per `rateUnit`.
+	 */
+	isCounter(id) {
+		return Boolean(this._tracked.get(id)?.config.counter);
+	}
+
+	buildAggregateSelect(aggregate, options, counter = false) {
+		switch (aggregate) {
+			case "min":
+				return "argMin(ts_ms, val) AS point_ts, min(val) AS point_value";
+			case "max":
+				return "argMax(ts_ms, val) AS point_ts, max(val) AS point_value";
+			case "minmax":
+				return "argMin(ts_ms, val) AS min_ts, min(val) AS min_value, argMax(ts_ms, val) AS max_ts, max(val) AS max_value";
+			case "average":
+				return "bucket + intDiv({step:UInt64}, 2) AS point_ts, avg(val) AS point_value";
+			case "total":
+				return `bucket + intDiv({step:UInt64}, 2) AS point_ts, sum(${counter ? "delta" : "val"}) AS point_value`;
+			case "rate":
+				return "bucket + intDiv({step:UInt64}, 2) AS point_ts, sum(delta) * {rateUnit:Float64} / {step:UInt64} AS point_value";
+			case "count":
+				return "bucket + intDiv({step:UInt64}, 2) AS point_ts, count() AS point_value";
+			case "first":
+				return "min(ts_ms) AS point_ts, argMin(value, ts_ms) AS point_value";
+			case "last":
+				return "max(ts_ms) AS point_ts, argMax(value, ts_ms) AS point_value";
+			case "percentile":
+			case "quantile":
+				// the quantile level has to be a literal, it is validated to be a finite number in [0, 1]
+				return `bucket + intDiv({step:UInt64}, 2) AS point_ts, quantile(${this.resolveQuantileLevel(options, aggregate)})(val) AS point_value`;
+			case "integral": {
+				const linear = String(options.integralInterpolation || "none").toLowerCase() === "linear";
+				const sample = linear ? "(val + next_val) / 2" : "val";
+				return `bucket + intDiv({step:UInt64}, 2) AS point_ts, sum(${sample} * duration_ms) / {integralUnit:Float64} AS point_value`;
+			}
+			default:
+				throw new Error(`Aggregation ${aggregate} is not supported`);
+		}
+	}
+
+	async queryAggregatedHistory(id, tableInfo, options, aggregate, window) {
+		const params = /** @type {Record<string, unknown>} */ ({});
+		const rows = await this.runHistoryQuery(
+			this.buildAggregatedHistoryQuery(id, tableInfo, options, aggregate, window, params),
+			params,
+		);
+		const type = aggregate === "first" || aggregate === "last" ? tableInfo.type : VALUE_TYPES.NUMBER;
+		const result = this.mapAggregateRows(rows, id, options, aggregate, type);
+		return { result, step: window.step };
+	}
+
+	/**
+	 * Builds the query of queryAggregatedHistory, with the same parameters for all datapoints of a request
+	 * except `idParam`.
+	 *
+	 * @param {Record<string, unknown>} params query parameters, extended in place
+	 * @returns {string}
+	 */
+	buildAggregatedHistoryQuery(id, tableInfo, options, aggregate, window, params, idParam = "rawId") {
+		const numeric = tableInfo.type === VALUE_TYPES.NUMBER;
+		const counter = numeric && this.isCounter(id);
+		params.start = window.start;
+		params.end = window.end;
+		params.step = window.step;
+		if (aggregate === "integral") {
+			params.integralUnit = this.resolveIntegralUnit(options);
+		}
+		if (aggregate === "rate") {
+			params.rateUnit = this.resolveRateUnit(options);
+		}
+		const limit = parseInt(options.limit, 10);
+		if (limit > 0) {
+			params.limit = limit;
+		}
+		const source = this.getRawSource(id, tableInfo, params, idParam);
+		const filters = [...source.conditions, ...this.buildMetadataFilters(options, params)];
+
+		const order = options.returnNewestEntries ? "DESC" : "ASC";
+		const rows = [`${source.value} IS NOT NULL`, ...filters];
+		// a counter reads the predecessor of the first sample as well, its consumption is the increase over it;
+		// the predecessor is looked up like rebuildAggregates does, the stored prev_value is missing on older rows
+		const from = counter
+			? `(SELECT max(ts) FROM ${source.table} WHERE ${[...rows, "ts < fromUnixTimestamp64Milli({start:UInt64})"].join(" AND ")})`
+			: "fromUnixTimestamp64Milli({start:UInt64})";
+		const windows = ["w AS (ORDER BY ts ROWS BETWEEN CURRENT ROW AND 1 FOLLOWING)"];
+		if (counter) {
+			windows.push("p AS (ORDER BY ts ROWS BETWEEN 1 PRECEDING AND CURRENT ROW)");
+		}
+		const query = `SELECT
+			bucket,
+			${this.buildAggregateSelect(aggregate, options, counter)}
+		FROM (
+			SELECT
+				toUnixTimestamp64Milli(ts) AS ts_ms,
+				${this.stepBucketMs("ts", window.step)} AS bucket,
+				${source.value} AS value,
+				${numeric ? "toFloat64(assumeNotNull(value))" : "NULL"} AS val,
+				${counter ? `${this.counterDelta("val", "lagInFrame(toNullable(val)) OVER p")} AS delta,` : ""}
+				${numeric ? "leadInFrame(val, 1, val) OVER w" : "NULL"} AS next_val,
+				${numeric ? "leadInFrame(ts_ms, 1, toInt64({end:UInt64})) OVER w - ts_ms" : "0"} AS duration_ms
+			FROM ${source.table}
+			WHERE ${rows.join(" AND ")}
+				AND ts >= ${from}
+				AND ts <= fromUnixTimestamp64Milli({end:UInt64})
+			${numeric ? `WINDOW ${windows.join(", ")}` : ""}
+		)
+		${counter ? "WHERE ts_ms >= {start:UInt64}" : ""}
+		GROUP BY bucket
+		ORDER BY bucket ${order}
+		${limit > 0 ? "LIMIT {limit:UInt32}" : ""}`;
+		return query;
+	}
+
+	buildTierAggregateSelect(aggregate, counter = false) {
+		switch (aggregate) {
+			case "min":
+				return "argMin(period_ms, p_min) AS point_ts, min(p_min) AS point_value";
+			case "max":
+				return "argMax(period_ms, p_max) AS point_ts, max(p_max) AS point_value";
+			case "minmax":
+				return "argMin(period_ms, p_min) AS min_ts, min(p_min) AS min_value, argMax(period_ms, p_max) AS max_ts, max(p_max) AS max_value";
+			case "total":
+				return `bucket + intDiv({span:UInt64}, 2) AS point_ts, sum(${counter ? "p_consumption" : "p_sum"}) AS point_value`;
+			case "rate":
+				return "bucket + intDiv({span:UInt64}, 2) AS point_ts, sum(p_consumption) * {rateUnit:Float64} / {span:UInt64} AS point_value";
+			case "count":
+				return "bucket + intDiv({span:UInt64}, 2) AS point_ts, sum(p_samples) AS point_value";
+			case "last":
+				return "max(period_ms) AS point_ts, argMax(p_last, period_ms) AS point_value";
+			case "first":
+				// aggregate tiers keep no first sample, the average of the first period is the closest match
+				return "min(period_ms) AS point_ts, argMin(p_avg, period_ms) AS point_value";
+			case "integral":
+				// integral_kwh holds value * seconds / 3.6e6, integralUnit is given in milliseconds
+				return "bucket + intDiv({span:UInt64}, 2) AS point_ts, sum(p_integral) * 3.6e9 / {integralUnit:Float64} AS point_value";
+			default:
+				// average, and percentiles which cannot be derived from aggregate states, use the weighted mean
+				return "bucket + intDiv({span:UInt64}, 2) AS point_ts, sum(p_avg * p_samples) / sum(p_samples) AS point_value";
+		}
+	}
+
+	async queryTierHistory(id, tier, options, aggregate, window, from, until) {
+		const raw = aggregate === "none" || aggregate === "onchange";
+		const bucket = tier.bucketColumn;
+		const params = /** @type {Record<string, unknown>} */ ({ id: String(id) });
+		const where = ["id = {id:String}"];
+		if (from !== undefined) {
+			params.start = from;
+			where.push(`${bucket} >= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({start:UInt64})")}`);
+		}
+		const end = window ? window.end : parseTimestamp(options.end);
+		if (end !== undefined) {
+			params.end = end;
+			where.push(`${bucket} <= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({end:UInt64})")}`);
+		}
+		if (until !== Infinity) {
+			params.until = until;
+			where.push(`${bucket} < ${this.tierBucket(tier, "fromUnixTimestamp64Milli({until:UInt64})")}`);
+		}
+		const order = options.returnNewestEntries ? "DESC" : "ASC";
+		const periods = `SELECT
+				toInt64(toUnixTimestamp(${this.tierBucketStart(tier, bucket)})) * 1000 AS period_ms,
+				${window ? this.stepBucketMs(this.tierBucketStart(tier, bucket), window.step) : "period_ms"} AS bucket,
+				\`min\` AS p_min,
+				\`max\` AS p_max,
+				\`avg\` AS p_avg,
+				\`last\` AS p_last,
+				samples AS p_samples,
+				\`sum\` AS p_sum,
+				integral_kwh AS p_integral,
+				consumption AS p_consumption
+			FROM ${tier.viewIdentifier}
+			WHERE ${where.join(" AND ")}`;
+
+		let query;
+		if (raw) {
+			query = `SELECT period_ms AS point_ts, p_avg AS point_value FROM (${periods}) ORDER BY point_ts ${order}`;
+		} else {
+			params.step = window.step;
+			params.span = Math.max(window.step, tier.bucketMs);
+			if (aggregate === "integral") {
+				params.integralUnit = this.resolveIntegralUnit(options);
+			}
+			if (aggregate === "rate") {
+				params.rateUnit = this.resolveRateUnit(options);
+			}
+			query = `SELECT
+			bucket,
+			${this.buildTierAggregateSelect(aggregate, this.isCounter(id))}
+		FROM (${periods})
+		GROUP BY bucket
+		ORDER BY bucket ${order}`;
+		}
+
+		const rows = await this.runHistoryQuery(query, params);
+		return this.mapAggregateRows(rows, id, options, raw ? "none" : aggregate, VALUE_TYPES.NUMBER);
+	}
+
+	/**
+	 * Serves the boolean and string aggregates from the raw rows of the current generation. The rows are turned
+	 * into aggregate states per getHistory step, the same way the materialized views fill the tiers.
+	 */
+	async queryRawStateHistory(id, tableInfo, options, aggregate, window) {
+		const params = /** @type {Record<string, unknown>} */ ({
+			start: window.start,
+			end: window.end,
+			step: window.step,
+		});
+		const source = this.getRawSource(id, tableInfo, params);
+		const filters = [...source.conditions, ...this.buildMetadataFilters(options, params)];
+		const select = this.buildTierStateSelect(
+			{ name: "step", bucketColumn: "bucket", step: window.step },
+			{
+				id: "''",
+				table: source.table,
+				type: tableInfo.type,
+				value: source.value,
+				window: true,
+				conditions: [
+					...filters,
+					// the predecessor of the first sample holds its value up to that sample
+					`ts >= (SELECT max(ts) FROM ${source.table} WHERE ${[
+						...filters,
+						`${source.value} IS NOT NULL`,
+						"ts < fromUnixTimestamp64Milli({start:UInt64})",
+					].join(" AND ")})`,
+					"ts <= fromUnixTimestamp64Milli({end:UInt64})",
+				],
+				buckets: [`bucket >= ${this.stepBucketMs("fromUnixTimestamp64Milli({start:UInt64})", window.step)}`],
+			},
+		);
+		const order = options.returnNewestEntries ? "DESC" : "ASC";
+		const rows = await this.runHistoryQuery(
+			`SELECT
+			bucket,
+			${this.buildStateMergeSelect(tableInfo.type)}
+		FROM (${select})
+		GROUP BY bucket${tableInfo.type === VALUE_TYPES.STRING ? ", value" : ""}
+		ORDER BY bucket ${order}`,
+			params,
+		);
+		return this.mapStateRows(rows, id, options, aggregate, tableInfo.type, window.step);
+	}
+
+	async queryTierStateHistory(id, type, tier, options, aggregate, window, from, until) {
+		const bucket = tier.bucketColumn;
+		const params = /** @type {Record<string, unknown>} */ ({ id: String(id), step: window.step });
+		const where = ["id = {id:String}"];
+		if (from !== undefined) {
+			params.start = from;
+			where.push(`${bucket} >= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({start:UInt64})")}`);
+		}
+		params.end = window.end;
+		where.push(`${bucket} <= ${this.tierBucket(tier, "fromUnixTimestamp64Milli({end:UInt64})")}`);
+		if (until !== Infinity) {
+			params.until = until;
+			where.push(`${bucket} < ${this.tierBucket(tier, "fromUnixTimestamp64Milli({until:UInt64})")}`);
+		}
+		const order = options.returnNewestEntries ? "DESC" : "ASC";
+		// the states are merged straight from the state table, the string view computes shares per bucket
+		const rows = await this.runHistoryQuery(
+			`SELECT
+			${this.stepBucketMs(this.tierBucketStart(tier, bucket), window.step)} AS bucket,
+			${this.buildStateMergeSelect(type)}
+		FROM ${this.getDataIdentifier(this.getTierTables(tier, type).stateTable)}
+		WHERE ${where.join(" AND ")}
+		GROUP BY bucket${type === VALUE_TYPES.STRING ? ", value" : ""}
+		ORDER BY bucket ${order}`,
+			params,
+		);
+		return this.mapStateRows(rows, id, options, aggregate, type, Math.max(window.step, tier.bucketMs));
+	}
+
+	buildStateMergeSelect(type) {
+		if (type === VALUE_TYPES.STRING) {
+			return "value, sumMerge(duration_state) AS held_ms, countMerge(count_state) AS occurrences, sumMerge(entries_state) AS changes";
+		}
+		return "sumMerge(true_ms_state) AS on_ms, sumMerge(known_ms_state) AS covered_ms, sumMerge(switches_state) AS changes";
+	}
+
+	/**
+	 * Turns merged boolean or string states into history points in the middle of their step. Booleans give the
+	 * share of time they were true (`average`), that time in `integralUnit` (`integral`) or their number of
+	 * changes (`switches`). Strings give their changes or, for `distribution`, the time share per value with
+	 * the number of stored samples per value in `counts`.
+	 */
+	mapStateRows(rows, id, options, aggregate, type, span) {
+		const buckets = new Map();
+		for (const row of rows) {
+			const bucket = Number(row.bucket);
+			if (!buckets.has(bucket)) {
+				buckets.set(bucket, []);
+			}
+			buckets.get(bucket).push(row);
+		}
+		const integralUnit = this.resolveIntegralUnit(options);
+		const result = [];
+		for (const [bucket, group] of Array.from(buckets.entries())) {
+			const point_ts = bucket + Math.floor(span / 2);
+			let point_value;
+			if (aggregate === "switches") {
+				point_value = group.reduce((sum, row) => sum + Number(row.changes), 0);
+			} else if (type === VALUE_TYPES.STRING) {
+				const total = group.reduce((sum, row) => sum + Number(row.held_ms), 0);
+				const shares = {};
+				const counts = {};
+				for (const row of group) {
+					shares[row.value] = total > 0 ? Number(row.held_ms) / total : 0;
+					counts[row.value] = Number(row.occurrences);
+				}
+				const entry = this.mapAggregateRow({ point_ts, point_value: null }, id, options.addId, VALUE_TYPES.NUMBER);
+				result.push({ ...entry, val: total > 0 ? shares : null, counts });
+				continue;
+			} else if (aggregate === "integral") {
+				point_value = Number(group[0].on_ms) / integralUnit;
+			} else {
+				const covered = Number(group[0].covered_ms);
+				point_value = covered > 0 ? Number(group[0].on_ms) / covered : null;
+			}
+			result.push(this.mapAggregateRow({ point_ts, point_value }, id, options.addId, VALUE_TYPES.NUMBER));
+		}
+		return options.ignoreNull === false ? result : result.filter(item => item.val !== null);
+	}
+
+	mapAggregateRows(rows, id, options, aggregate, type) {
+		const result = [];
+		for (const row of rows) {
+			if (aggregate === "minmax") {
+				const low = this.mapAggregateRow(
+					{ point_ts: row.min_ts, point_value: row.min_value },
+					id,
+					options.addId,
+					VALUE_TYPES.NUMBER,
+				);
+				const high = this.mapAggregateRow(
+					{ point_ts: row.max_ts, point_value: row.max_value },
+					id,
+					options.addId,
+					VALUE_TYPES.NUMBER,
+				);
+				const pair = low.ts <= high.ts ? [low, high] : [high, low];
+				result.push(...(options.returnNewestEntries ? pair.reverse() : pair));
+				continue;
+			}
+			result.push(this.mapAggregateRow(row, id, options.addId, type));
+		}
+		return options.ignoreNull === false ? result : result.filter(item => item.val !== null);
+	}
+
+	/**
+	 * Runs a query of getHistory or another read command on the read endpoint. Queries that belong to writes
+	 * pass the write client, a read replica may lag behind.
+	 */
+	async runHistoryQuery(query, params, client = this.getReadClient()) {
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const result = await client.query({
+			query,
+			query_params: Object.keys(params).length ? params : undefined,
+			format: "JSONEachRow",
+		});
+		return result.json();
+	}
+
+	mapAggregateRow(row, id, addId, storageType) {
+		const ts = Number(row.point_ts);
+		const raw = row.point_value;
+		const value =
+			storageType === VALUE_TYPES.NUMBER && raw !== null && raw !== undefined
+				? Number(raw)
+				: this.decodeValue(storageType, raw);
+		const entry = {
+			val: typeof value === "number" && !isFinite(value) ? null : value,
+			ts,
+			ack: true,
+			q: 0,
+			from: "",
+		};
+		if (addId) {
+			entry.id = id;
+		}
+		return entry;
+	}
+
+	mapRowToHistory(row, id, addId, storageType) {
+		const ts = Number(row.ts);
+		const value = this.decodeValue(storageType, row.value);
+		const lc = row.lc === null || row.lc === undefined ? ts : Number(row.lc);
+		const entry = {
+			val: value,
+			ts: isNaN(ts) ? Date.now() : ts,
+			lc: isNaN(lc) ? undefined : lc,
+			ack: row.ack === undefined || row.ack === null ? true : Number(row.ack) === 1,
+			q: Number(row.q) || 0,
+			from: row.from ? String(row.from) : "",
+		};
+
+		if (addId) {
+			entry.id = id;
+		}
+
+		return entry;
+	}
+
+	async handleEnableHistory(msg) {
+		const id = msg.message?.id;
+		const options = msg.message?.options;
+		if (!id || !isObject(options)) {
+			throw new Error("enableHistory requires id and options");
+		}
+		const obj = await this.getForeignObjectAsync(id);
+		if (!obj?.common) {
+			throw new Error(`Object ${id} not found`);
+		}
+		obj.common.custom = obj.common.custom || {};
+		obj.common.custom[this.namespace] = { ...options, enabled: true };
+		await this.setForeignObjectAsync(id, obj);
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	async handleDisableHistory(msg) {
+		const id = msg.message?.id;
+		if (!id) {
+			throw new Error("disableHistory requires id");
+		}
+		const obj = await this.getForeignObjectAsync(id);
+		if (!obj?.common?.custom?.[this.namespace]) {
+			return;
+		}
+		delete obj.common.custom[this.namespace];
+		await this.setForeignObjectAsync(id, obj);
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+		}
+	}
+
+	handleGetEnabledDPs(msg) {
+		const result = {};
+		for (const [id, entry] of Array.from(this._tracked.entries())) {
+			if (!entry.ephemeral) {
+				result[id] = entry.config;
+			}
+		}
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, result, msg.callback);
+		}
+	}
+
+	/**
+	 * Runs a read-only query for scripts, like the query command of the sql adapter. The message is the query or
+	 * `{ query, params?, maxRows?, timeout? }`; named parameters such as `{from:DateTime64(3)}` are filled from
+	 * `params`. The query runs on the read connection with `readonly=1`, and `maxRows` and `timeout` (s) can only
+	 * lower the configured limits. The reply carries the rows as `result`.
+	 */
+	async handleQuery(msg) {
+		let request = isObject(msg.message) ? msg.message : {};
+		if (typeof msg.message === "string") {
+			request = { query: msg.message };
+		}
+		const client = this.getReadClient();
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		if (typeof request.query !== "string" || !/^\s*(SELECT|WITH)\b/i.test(request.query)) {
+			throw new Error("query requires a SELECT statement");
+		}
+		if (request.params !== undefined && !isObject(request.params)) {
+			throw new Error("query params have to be an object");
+		}
+		const reserved = Object.keys(request.params || {}).filter(name => name.startsWith(QUERY_TABLE_PARAM));
+		if (reserved.length) {
+			throw new Error(`query params starting with ${QUERY_TABLE_PARAM} are reserved for {table:...}: ${reserved.join(", ")}`);
+		}
+		const limit = (value, max) => {
+			const number = Number(value);
+			return number > 0 ? Math.min(number, max) : max;
+		};
+		const maxRows = Math.floor(limit(request.maxRows, this._runtimeOptions.queryMaxRows));
+		const timeout = limit(request.timeout, this._runtimeOptions.queryTimeout);
+		const params = { ...(request.params || {}) };
+		const query = this.resolveQueryTables(request.query, params);
+
+		this.log.debug(`Running query for ${msg.from}: ${query}`);
+		const result = await client.query({
+			query,
+			query_params: Object.keys(params).length ? params : undefined,
+			format: "JSONEachRow",
+			clickhouse_settings: {
+				max_execution_time: timeout,
+				max_result_rows: String(maxRows),
+				result_overflow_mode: "throw",
+				readonly: "1",
+			},
+		});
+		const rows = await result.json();
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { error: null, result: rows }, msg.callback);
+		}
+	}
+
+	/**
+	 * Replaces `{table:'<id>'}` in a query with the raw storage of the datapoint: its table, or for the wide layout
+	 * a subquery with the same columns (`ts`, `value`, `ack`, `q`, `from`, `lc`). Only the current storage
+	 * generation is covered.
+	 *
+	 * @param {string} query
+	 * @param {Record<string, unknown>} params query parameters, extended with the IDs of wide table datapoints
+	 * @returns {string}
+	 */
+	resolveQueryTables(query, params) {
+		let index = 0;
+		return query.replace(/\{\s*table\s*:\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\}/g, (match, single, double) => {
+			const id = String(single ?? double).replace(/\\(.)/g, "$1");
+			const info = this._tableCache.get(id);
+			if (!info) {
+				throw new Error(`No history stored for ${id}`);
+			}
+			const source = this.getRawSource(id, info, params, `${QUERY_TABLE_PARAM}${index++}`);
+			if (!source.conditions.length) {
+				return source.table;
+			}
+			return `(SELECT ts, ${source.value} AS value, ack, q, \`from\`, lc FROM ${source.table} WHERE ${source.conditions.join(" AND ")})`;
+		});
+	}
+
+	/**
+	 * Moves the history of a state to a new ID. Without history for the new ID the registry entry is re-pointed,
+	 * otherwise the rows are merged into the new ID's table. The aggregate tiers follow in both cases.
+	 */
+	async handleRenameHistory(msg) {
+		const oldId = msg.message?.oldId ?? msg.message?.id;
+		const newId = msg.message?.newId;
+		if (!oldId || !newId) {
+			throw new Error(`${msg.command} requires oldId and newId`);
+		}
+		if (oldId === newId) {
+			throw new Error(`${msg.command} requires two different IDs`);
+		}
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		await this.flushBuffer(true);
+		if (this._spool.rows) {
+			throw new Error("Spooled rows have to be written to ClickHouse before history can be moved");
+		}
+		const info = await this.resolveTableInfo(oldId);
+		const target = await this.resolveTableInfo(newId).catch(() => null);
+		if (target && target.type !== info.type) {
+			throw new Error(`Cannot merge ${info.type} history of ${oldId} into ${target.type} history of ${newId}`);
+		}
+		if (target && info.generations?.length) {
+			throw new Error(`Cannot merge ${oldId} into ${newId}: its history is split into several storage type generations`);
+		}
+
+		let rows = 0;
+		// rows flushed while the raw rows and the materialized views change would miss the tiers or the new ID
+		await this.holdFlushes([oldId, newId]);
+		try {
+			if (target) {
+				rows = await this.copyRawRows(oldId, info, newId, target);
+				// before the old rows are deleted, which deletes the aggregate states of the old ID as well
+				await this.moveAggregateStates(oldId, newId, info);
+				if (this.isWideTable(info.table)) {
+					await this.executeDelete(oldId);
+				} else {
+					await this.dropRawTable(info.table);
+				}
+			} else if (this.isWideTable(info.table)) {
+				// id is part of the sorting key and cannot be updated, the rows are copied under the new ID instead
+				for (const generation of this.getRawGenerations(info)) {
+					rows += await this.copyRawRows(oldId, generation, newId, { table: info.table, type: generation.type });
+				}
+				await this.registerTable(newId, info);
+				await this.moveAggregateStates(oldId, newId, info);
+				await this.executeDelete(oldId);
+			} else {
+				// the table keeps its name, only the registry entry and the views that carry the ID change
+				await this.registerTable(newId, info);
+				if (this.supportsContinuousAggregation(info.type)) {
+					await this.dropMaterializedViewsFor(info.table);
+					await this.ensureMaterializedViewFor(newId, info);
+				}
+				await this.ensureTableTtl(info.table, this.resolveRetentionDays(newId));
+				await this.moveAggregateStates(oldId, newId, info);
+			}
+			this._lastSamples.delete(oldId);
+			this._lastSamples.delete(newId);
+			await this.unregisterTable(oldId);
+		} finally {
+			this.releaseFlushes([oldId, newId]);
+		}
+		this.log.info(`Moved history of ${oldId} to ${newId}${target ? ` (merged ${rows} rows)` : ""}`);
+
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: true, merged: Boolean(target), rows }, msg.callback);
+		}
+	}
+
+	/**
+	 * Re-keys the aggregate states of a datapoint. `id` is part of the sorting key, so the states are copied
+	 * under the new ID, where the AggregatingMergeTree merges them with existing ones, and deleted afterwards.
+	 */
+	async moveAggregateStates(oldId, newId, tableInfo) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		for (const tier of Array.from(this._aggregateTiers.values())) {
+			for (const type of this.getAggregateTypes(tableInfo)) {
+				const { stateTable, stateIdentifier } = this.getTierTables(tier, type);
+				const dataIdentifier = this.getDataIdentifier(stateTable);
+				await this._client.command({
+					query: `INSERT INTO ${dataIdentifier}
+SELECT {newId:String} AS id, * EXCEPT (id) FROM ${dataIdentifier} WHERE id = {oldId:String}`,
+					query_params: { oldId: String(oldId), newId: String(newId) },
+				});
+				await this._client.command({
+					query: `ALTER TABLE ${stateIdentifier}${this.onCluster()} DELETE WHERE id = {oldId:String}`,
+					query_params: { oldId: String(oldId) },
+				});
+			}
 		}
 	}
 
-	async executeDelete(id, start, end) {
+	async unregisterTable(id) {
 		if (!this._client) {
 			throw new Error("Not connected to ClickHouse");
 		}
-		await this.flushBuffer(true).catch(() => null);
-		let tableInfo = null;
-		try {
-			tableInfo = await this.resolveTableInfo(id);
-		} catch (error) {
-			this.log.debug(`Skip delete for ${id}: ${extractError(error)}`);
-			return;
+		await this._client.command({
+			query: `ALTER TABLE ${this._registryIdentifier}${this.onCluster()} DELETE WHERE id = {id:String}`,
+			query_params: { id: String(id) },
+			// wait for the mutation, a registry load in between would bring the entry back
+			clickhouse_settings: this.mutationSettings(),
+		});
+		this._tableCache.delete(id);
+	}
+
+	/**
+	 * Moves per-state tables into the wide table. `ids` limits the migration to some datapoints and
+	 * `dropTables: false` keeps the old tables and their materialized views.
+	 */
+	async handleMigrateStorage(msg) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
 		}
-		if (!tableInfo) {
-			return;
+		const requested = msg.message?.ids;
+		const ids = Array.isArray(requested)
+			? requested.map(id => String(id))
+			: Array.from(this._tableCache.keys());
+		const dropTables = msg.message?.dropTables !== false;
+
+		await this.flushBuffer(true);
+		if (this._spool.rows) {
+			throw new Error("Spooled rows have to be written to ClickHouse before the storage can be migrated");
 		}
-		const tableIdentifier = this.quoteIdent(tableInfo.table);
-		const parameters = /** @type {Record<string, unknown>} */ ({});
-		let query;
-		const normalizeTs = value => {
-			if (value === undefined || value === null) {
-				return undefined;
+		await this.ensureWideTable();
+
+		const migrated = [];
+		const failed = [];
+		for (const id of ids) {
+			const info = this._tableCache.get(id);
+			if (!info || this.isWideTable(info.table)) {
+				continue;
 			}
-			if (typeof value === "number" && !isNaN(value)) {
-				return Math.trunc(value);
+			try {
+				const rows = await this.migrateTableToWide(id, info, dropTables);
+				migrated.push({ id, rows });
+				this.log.info(`Migrated ${rows} rows of ${id} from ${info.table} to ${this._wideTable}`);
+			} catch (error) {
+				failed.push({ id, error: extractError(error) });
+				this.log.warn(`Cannot migrate ${id} to ${this._wideTable}: ${extractError(error)}`);
 			}
-			const parsed = new Date(value).getTime();
-			return isNaN(parsed) ? undefined : Math.trunc(parsed);
-		};
-		const normalizedStart = normalizeTs(start);
-		const normalizedEnd = normalizeTs(end);
-		if (normalizedStart !== undefined && normalizedEnd !== undefined) {
-			parameters.start = normalizedStart;
-			parameters.end = normalizedEnd;
-			query = `ALTER TABLE ${tableIdentifier} DELETE WHERE ts BETWEEN fromUnixTimestamp64Milli({start:UInt64}) AND fromUnixTimestamp64Milli({end:UInt64})`;
-		} else if (normalizedStart !== undefined) {
-			parameters.start = normalizedStart;
-			query = `ALTER TABLE ${tableIdentifier} DELETE WHERE ts = fromUnixTimestamp64Milli({start:UInt64})`;
-		} else {
-			query = `ALTER TABLE ${tableIdentifier} DELETE WHERE 1`;
 		}
-		const commandOptions = { query };
-		if (Object.keys(parameters).length) {
-			commandOptions.query_params = parameters;
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { success: !failed.length, migrated, failed }, msg.callback);
 		}
-		await this._client.command(commandOptions);
 	}
 
-	async handleGetHistory(msg) {
-		const id = msg.message?.id;
-		const options = msg.message?.options || {};
-		if (!id || !isObject(options)) {
-			throw new Error("getHistory called with invalid payload");
+	/**
+	 * Copies one per-state table into the wide table. The rows go through a staging table and are attached
+	 * partition by partition, so the wide materialized views do not aggregate them a second time.
+	 * New values of the datapoint are held in the buffer until the registry points to the wide table.
+	 * Attaching is not atomic: rows of the datapoint in the wide table are deleted before the copy and
+	 * after a failed one, so a retry starts clean.
+	 */
+	async migrateTableToWide(id, info, dropTable) {
+		const wideInfo = { table: this._wideTable, type: info.type };
+		const sources = this.getRawGenerations(info);
+		if (sources.length > 1) {
+			wideInfo.generations = sources.slice(0, -1).map(generation => ({ table: this._wideTable, type: generation.type }));
 		}
-		this.log.debug(
-			`History request for ${id} with options ${JSON.stringify({ ...options, password: undefined })}`,
-		);
-
-		const aggregate = options.aggregate || "none";
-		if (aggregate !== "none" && aggregate !== "onchange") {
-			throw new Error(`Aggregation ${aggregate} is not supported`);
+		if (this.getRawTables(info).some(table => this.isWideTable(table))) {
+			throw new Error(`${id} already has rows in ${this._wideTable}`);
 		}
-
-		await this.flushBuffer(true).catch(() => null);
-
-		let tableInfo = null;
+		if (this.supportsContinuousAggregation(info.type)) {
+			await this.ensureMaterializedViewFor(id, wideInfo);
+		}
+		let rows = 0;
+		await this.holdFlushes([id]);
 		try {
-			tableInfo = await this.resolveTableInfo(id);
+			await this.deleteWideRows(id);
+			for (const source of sources) {
+				rows += await this.copyRawRows(id, source, id, { table: this._wideTable, type: source.type });
+			}
+			await this.registerTable(id, wideInfo);
 		} catch (error) {
-			this.log.debug(`History request skipped for ${id}: ${extractError(error)}`);
+			this._tableCache.set(id, info);
+			await this.registerTable(id, info).catch(() => null);
+			await this.deleteWideRows(id).catch(cleanupError => {
+				this.log.warn(`Cannot delete the partly copied rows of ${id}: ${extractError(cleanupError)}`);
+			});
+			throw error;
+		} finally {
+			this.releaseFlushes([id]);
 		}
-		if (!tableInfo) {
-			if (msg.callback) {
-				this.sendTo(msg.from, msg.command, { result: [], step: null, error: null }, msg.callback);
+		if (dropTable) {
+			for (const table of this.getRawTables(info)) {
+				await this.dropRawTable(table);
 			}
-			return;
 		}
+		return rows;
+	}
 
-		const params = /** @type {Record<string, unknown>} */ ({});
-		const where = [];
+	async deleteWideRows(id) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		await this._client.command({
+			query: `ALTER TABLE ${this.quoteIdent(this._wideTable)}${this.onCluster()} DELETE WHERE id = {id:String}`,
+			query_params: { id },
+			clickhouse_settings: this.mutationSettings(),
+		});
+	}
 
-		if (options.start !== undefined) {
-			const start = typeof options.start === "number" ? options.start : new Date(options.start).getTime();
-			if (!isNaN(start)) {
-				params.start = Number(start);
-				where.push("ts >= fromUnixTimestamp64Milli({start:UInt64})");
-			}
+	/**
+	 * Copies the raw rows of one datapoint into the raw storage of another (or the same) datapoint.
+	 * The rows are written to a staging copy of the target table and attached partition by partition,
+	 * so the target's materialized views do not aggregate them a second time. On a cluster the copied rows go to
+	 * the shard of the connected node, the replicas of that shard receive the attached partitions.
+	 *
+	 * @returns {Promise<number>} number of copied rows
+	 */
+	async copyRawRows(sourceId, sourceInfo, targetId, targetInfo) {
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
 		}
-		if (options.end !== undefined) {
-			const end = typeof options.end === "number" ? options.end : new Date(options.end).getTime();
-			if (!isNaN(end)) {
-				params.end = Number(end);
-				where.push("ts <= fromUnixTimestamp64Milli({end:UInt64})");
+		const targetIdentifier = this.quoteIdent(targetInfo.table);
+		const staging = `${targetInfo.table}_staging`;
+		const stagingIdentifier = this.quoteIdent(staging);
+		const params = /** @type {Record<string, unknown>} */ ({ targetId: String(targetId) });
+		const source = this.getRawSource(sourceId, sourceInfo, params);
+		const wide = this.isWideTable(targetInfo.table);
+		const metadata = RAW_METADATA_COLUMNS.map(column => this.quoteIdent(column.name)).join(", ");
+		const targetColumns = wide ? `id, ts, ${this.getWideValueColumn(targetInfo.type)}` : "ts, value";
+		let rows = 0;
+		try {
+			await client.command({ query: `DROP TABLE IF EXISTS ${stagingIdentifier}${this.onCluster()}` });
+			await client.command({ query: `CREATE TABLE ${stagingIdentifier}${this.onCluster()} AS ${targetIdentifier}` });
+			await client.command({
+				query: `INSERT INTO ${stagingIdentifier} (${targetColumns}, ${metadata})
+SELECT ${wide ? "{targetId:String}, " : ""}ts, ${source.value}, ${metadata}
+FROM ${source.table}${source.conditions.length ? `\nWHERE ${source.conditions.join(" AND ")}` : ""}`,
+				query_params: params,
+			});
+			const partitions = await this.runHistoryQuery(
+				`SELECT partition_id, sum(rows) AS rows FROM system.parts
+				WHERE database = {db:String} AND table = {table:String} AND active
+				GROUP BY partition_id`,
+				{ db: this._runtimeOptions.database, table: staging },
+				client,
+			);
+			for (const partition of partitions) {
+				const partitionId = String(partition.partition_id).replace(/'/g, "''");
+				await client.command({
+					query: `ALTER TABLE ${targetIdentifier} ATTACH PARTITION ID '${partitionId}' FROM ${stagingIdentifier}`,
+				});
+				rows += Number(partition.rows) || 0;
 			}
+		} finally {
+			await client.command({ query: `DROP TABLE IF EXISTS ${stagingIdentifier}${this.onCluster()}` }).catch(() => null);
 		}
+		return rows;
+	}
 
-		const limit = parseInt(options.limit, 10) || parseInt(options.count, 10) || 2000;
-		if (limit > 0) {
-			params.limit = limit;
+	/**
+	 * Reads the registry from ClickHouse instead of the cache, for commands that may run against the read endpoint.
+	 *
+	 * @returns {Promise<Map<string, { table: string; type: string; generations?: { table: string; type: string }[] }>>}
+	 */
+	async readTableRegistry(client = this.getReadClient()) {
+		const registry = new Map();
+		const rows = await this.runHistoryQuery(
+			`SELECT id, table, type, generations FROM ${this.getDataIdentifier(this._registryTable)} FINAL`,
+			{},
+			client,
+		);
+		for (const row of rows) {
+			if (row.id && row.table && row.type) {
+				registry.set(String(row.id), this.parseRegistryRow(row));
+			}
 		}
+		return registry;
+	}
 
-		const order = options.returnNewestEntries ? "DESC" : "ASC";
-		const tableIdent = this.quoteIdent(tableInfo.table);
-		const query = `SELECT
-			toUnixTimestamp64Milli(ts) AS ts,
-			value
-		FROM ${tableIdent}
-		${where.length ? `WHERE ${where.join(" AND ")}` : ""}
-		ORDER BY ts ${order}
-		${limit > 0 ? "LIMIT {limit:UInt32}" : ""}`;
-
-		if (!this._client) {
+	/**
+	 * Lists the storage of every registered datapoint: rows and bytes from system.parts, the time range of its raw
+	 * rows, the TTL from system.tables and whether its materialized views exist. Older storage generations are
+	 * included. In the wide table the bytes are split by the row share of each datapoint. `ids` or `pattern` limit
+	 * the list; `native: true` wraps it for the table of the admin tab.
+	 */
+	async handleGetStorageStats(msg) {
+		const request = isObject(msg.message) ? msg.message : {};
+		if (!this.getReadClient()) {
 			throw new Error("Not connected to ClickHouse");
 		}
+		const registry = await this.readTableRegistry();
+		let ids = Array.from(registry.keys()).sort();
+		if (request.pattern) {
+			ids = this.matchRegisteredIds(request.pattern, ids);
+		} else if (Array.isArray(request.ids)) {
+			const requested = new Set(request.ids.map(id => String(id)));
+			ids = ids.filter(id => requested.has(id));
+		}
 
-		const result = await this._client.query({
-			query,
-			query_params: Object.keys(params).length ? params : undefined,
-			format: "JSONEachRow",
-		});
-		const rows = await result.json();
+		const db = this._runtimeOptions.database;
+		// with a cluster, one replica per shard reports its parts
+		const parts = this._runtimeOptions.cluster
+			? `cluster(${this.quoteLiteral(this._runtimeOptions.cluster)}, system.parts)`
+			: "system.parts";
+		const tableSizes = new Map();
+		for (const row of await this.runHistoryQuery(
+			`SELECT table, sum(rows) AS rows, sum(data_compressed_bytes) AS compressed, sum(data_uncompressed_bytes) AS uncompressed
+			FROM ${parts}
+			WHERE database = {db:String} AND active
+			GROUP BY table`,
+			{ db },
+		)) {
+			tableSizes.set(String(row.table), {
+				rows: Number(row.rows) || 0,
+				compressed: Number(row.compressed) || 0,
+				uncompressed: Number(row.uncompressed) || 0,
+			});
+		}
+		const ttlDays = new Map();
+		const views = new Set();
+		for (const row of await this.runHistoryQuery(
+			"SELECT name, engine, engine_full FROM system.tables WHERE database = {db:String}",
+			{ db },
+		)) {
+			if (row.engine === "MaterializedView") {
+				views.add(String(row.name));
+			} else {
+				ttlDays.set(String(row.name), parseTtlDays(row.engine_full));
+			}
+		}
 
-		const data = rows.map(row => this.mapRowToHistory(row, id, options.addId, tableInfo.type));
-		const filtered = options.ignoreNull === false ? data : data.filter(item => item.val !== null);
-		let resultData = filtered;
-		if (aggregate === "onchange") {
-			resultData = reduceOnChange(filtered);
+		const infos = ids.flatMap(id => registry.get(id) || []);
+		const ranges = new Map();
+		const tables = Array.from(new Set(infos.flatMap(info => this.getRawTables(info))));
+		const perState = tables.filter(table => !this.isWideTable(table) && tableSizes.has(table));
+		if (perState.length) {
+			// one query over all per-state tables, _table names the table a row comes from
+			const names = perState.map(table => this.getDataTable(table)).join("|");
+			for (const row of await this.runHistoryQuery(
+				`SELECT _table AS table, toUnixTimestamp64Milli(min(ts)) AS first, toUnixTimestamp64Milli(max(ts)) AS last, count() AS rows
+				FROM merge(${this.quoteLiteral(db)}, ${this.quoteLiteral(`^(${names})$`)})
+				GROUP BY _table`,
+				{},
+			)) {
+				const table = String(row.table);
+				ranges.set(
+					this._runtimeOptions.distributedTables ? table.slice(0, -DISTRIBUTED_SUFFIX.length) : table,
+					{ first: Number(row.first), last: Number(row.last), rows: Number(row.rows) },
+				);
+			}
 		}
-		this.log.debug(`History response for ${id}: returned ${resultData.length} data points`);
+		const wideRanges = new Map();
+		if (tables.some(table => this.isWideTable(table))) {
+			for (const row of await this.runHistoryQuery(
+				`SELECT id, toUnixTimestamp64Milli(min(ts)) AS first, toUnixTimestamp64Milli(max(ts)) AS last, count() AS rows
+				FROM ${this.getDataIdentifier(this._wideTable)}
+				GROUP BY id`,
+				{},
+			)) {
+				wideRanges.set(String(row.id), { first: Number(row.first), last: Number(row.last), rows: Number(row.rows) });
+			}
+		}
+		const wideSize = tableSizes.get(this._wideTable);
+		const wideRows = Array.from(wideRanges.values()).reduce((sum, range) => sum + range.rows, 0);
+
+		const stats = ids.map((id, index) => {
+			const info = infos[index];
+			const wide = this.isWideTable(info.table);
+			const entry = {
+				id,
+				table: info.table,
+				type: info.type,
+				layout: wide ? "wide" : "perState",
+				generations: this.getRawGenerations(info).length,
+				rows: 0,
+				compressedBytes: 0,
+				uncompressedBytes: 0,
+				firstTs: /** @type {number | null} */ (null),
+				lastTs: /** @type {number | null} */ (null),
+				ttlDays: ttlDays.get(info.table) ?? null,
+				materializedViews: this.supportsContinuousAggregation(info.type)
+					? AGGREGATE_TIERS.every(tier => views.has(this.getMaterializedViewName(info.table, tier, info.type)))
+					: null,
+			};
+			const covered = [];
+			for (const table of this.getRawTables(info)) {
+				if (this.isWideTable(table)) {
+					const range = wideRanges.get(id);
+					if (range && wideSize && wideRows) {
+						entry.rows += range.rows;
+						entry.compressedBytes += Math.round((wideSize.compressed * range.rows) / wideRows);
+						entry.uncompressedBytes += Math.round((wideSize.uncompressed * range.rows) / wideRows);
+						covered.push(range);
+					}
+				} else {
+					const size = tableSizes.get(table);
+					if (size) {
+						entry.rows += size.rows;
+						entry.compressedBytes += size.compressed;
+						entry.uncompressedBytes += size.uncompressed;
+					}
+					const range = ranges.get(table);
+					if (range?.rows) {
+						covered.push(range);
+					}
+				}
+			}
+			if (covered.length) {
+				entry.firstTs = Math.min(...covered.map(range => range.first));
+				entry.lastTs = Math.max(...covered.map(range => range.last));
+			}
+			return entry;
+		});
+		stats.sort((a, b) => b.compressedBytes - a.compressedBytes);
 
 		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { result: resultData, step: null, error: null }, msg.callback);
+			/** @type {Record<string, unknown>} */
+			let reply = { error: null, stats };
+			if (request.native) {
+				// the admin tab merges `native` into its data, timestamps are shown as text
+				const storageStats = stats.map(entry => ({
+					...entry,
+					firstTs: entry.firstTs === null ? "" : new Date(entry.firstTs).toISOString(),
+					lastTs: entry.lastTs === null ? "" : new Date(entry.lastTs).toISOString(),
+				}));
+				reply = { error: null, native: { storageStats } };
+			}
+			this.sendTo(msg.from, msg.command, reply, msg.callback);
 		}
 	}
 
-	mapRowToHistory(row, id, addId, storageType) {
-		const ts = Number(row.ts);
-		const value = this.decodeValue(storageType, row.value);
-		const entry = {
-			val: value,
-			ts: isNaN(ts) ? Date.now() : ts,
-			lc: isNaN(ts) ? undefined : ts,
-			ack: true,
-			q: 0,
-			from: "",
+	/**
+	 * Checks the reasons a findOrphans or cleanupOrphans request is limited to, all of them by default.
+	 *
+	 * @returns {string[]}
+	 */
+	resolveOrphanReasons(requested) {
+		if (requested === undefined || requested === null) {
+			return ORPHAN_REASONS;
+		}
+		const reasons = (Array.isArray(requested) ? requested : [requested]).map(reason => String(reason));
+		const unknown = reasons.find(reason => !ORPHAN_REASONS.includes(reason));
+		if (unknown) {
+			throw new Error(`Unknown orphan reason ${unknown}, expected one of ${ORPHAN_REASONS.join(", ")}`);
+		}
+		return reasons;
+	}
+
+	/**
+	 * Collects the leftovers of datapoints that are no longer logged:
+	 * - `orphans`: registry entries whose object was deleted or whose logging is disabled,
+	 * - `tables`, `views`: raw tables and materialized views no registry entry refers to; the views of a listed
+	 *   table are not listed, they go with the table,
+	 * - `wideIds`, `aggregateIds`: IDs with rows in the wide table or the aggregate tiers but no registry entry,
+	 * - `duplicates`: IDs with several registry rows that were not merged yet.
+	 * Raw tables are recognized by their `ts` and `value` columns and the table prefix, so other tables in the
+	 * database are never listed.
+	 */
+	async collectOrphans(registry, reasons) {
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
+		}
+		const db = this._runtimeOptions.database;
+		const found = {
+			orphans: /** @type {{ id: string; reason: string; table: string; type: string; layout: string }[]} */ ([]),
+			tables: /** @type {string[]} */ ([]),
+			views: /** @type {string[]} */ ([]),
+			wideIds: /** @type {string[]} */ ([]),
+			aggregateIds: /** @type {string[]} */ ([]),
+			duplicates: /** @type {{ id: string; rows: number }[]} */ ([]),
 		};
 
-		if (addId) {
-			entry.id = id;
+		if (reasons.includes("deleted") || reasons.includes("disabled")) {
+			for (const id of Array.from(registry.keys()).sort()) {
+				const entry = this._tracked.get(id);
+				if (entry && !entry.ephemeral) {
+					continue;
+				}
+				let obj;
+				try {
+					obj = await this.getForeignObjectAsync(id);
+				} catch (error) {
+					this.log.debug(`Cannot check object ${id}: ${extractError(error)}`);
+					continue;
+				}
+				const reason = !obj ? "deleted" : obj.common?.custom?.[this.namespace]?.enabled ? "" : "disabled";
+				if (reason && reasons.includes(reason)) {
+					const info = registry.get(id);
+					found.orphans.push({
+						id,
+						reason,
+						table: info.table,
+						type: info.type,
+						layout: this.isWideTable(info.table) ? "wide" : "perState",
+					});
+				}
+			}
 		}
 
-		return entry;
-	}
+		if (reasons.includes("unregistered")) {
+			const systemTables = await this.runHistoryQuery(
+				"SELECT name, engine, create_table_query FROM system.tables WHERE database = {db:String}",
+				{ db },
+				client,
+			);
+			const rawTables = new Set(
+				(
+					await this.runHistoryQuery(
+						`SELECT table FROM system.columns
+						WHERE database = {db:String} AND name IN ('ts', 'value')
+						GROUP BY table
+						HAVING count() = 2`,
+						{ db },
+						client,
+					)
+				).map(row => String(row.table)),
+			);
+			const registered = new Set([this._wideTable]);
+			for (const info of Array.from(registry.values())) {
+				this.getRawTables(info).forEach(table => registered.add(table));
+			}
+			// staging tables belong to a copy that may still be running
+			found.tables = systemTables
+				.map(row => String(row.name))
+				.filter(
+					(name, index) =>
+						rawTables.has(name) &&
+						systemTables[index].engine !== "Distributed" &&
+						name.startsWith(`${this._tablePrefix}_`) &&
+						!name.endsWith("_staging") &&
+						!registered.has(name),
+				)
+				.sort();
+
+			const stateTables = Array.from(
+				new Set(
+					Array.from(this._aggregateTiers.values()).flatMap(tier =>
+						Object.values(tier.tables).map(tables => tables.stateTable),
+					),
+				),
+			);
+			const expectedViews = new Set();
+			for (const table of [...registered, ...found.tables]) {
+				for (const tier of AGGREGATE_TIERS) {
+					for (const type of Object.keys(AGGREGATE_KINDS)) {
+						expectedViews.add(this.getMaterializedViewName(table, tier, type));
+					}
+				}
+			}
+			// only views that write into the state tables of this instance
+			found.views = systemTables
+				.filter(
+					row =>
+						row.engine === "MaterializedView" &&
+						!expectedViews.has(String(row.name)) &&
+						stateTables.includes(getViewTarget(row.create_table_query)),
+				)
+				.map(row => String(row.name))
+				.sort();
+
+			const existing = new Set(systemTables.map(row => String(row.name)));
+			if (existing.has(this._wideTable)) {
+				const rows = await this.runHistoryQuery(
+					`SELECT id FROM ${this.getDataIdentifier(this._wideTable)} GROUP BY id`,
+					{},
+					client,
+				);
+				found.wideIds = rows
+					.map(row => String(row.id))
+					.filter(id => !registry.has(id))
+					.sort();
+			}
+			const aggregateIds = new Set();
+			for (const stateTable of stateTables.filter(table => existing.has(table))) {
+				for (const row of await this.runHistoryQuery(
+					`SELECT id FROM ${this.getDataIdentifier(stateTable)} GROUP BY id`,
+					{},
+					client,
+				)) {
+					if (!registry.has(String(row.id))) {
+						aggregateIds.add(String(row.id));
+					}
+				}
+			}
+			found.aggregateIds = Array.from(aggregateIds).sort();
+		}
 
-	async handleEnableHistory(msg) {
-		const id = msg.message?.id;
-		const options = msg.message?.options;
-		if (!id || !isObject(options)) {
-			throw new Error("enableHistory requires id and options");
+		if (reasons.includes("duplicate")) {
+			// every registration adds a row, ReplacingMergeTree only removes the older ones when it merges parts
+			const rows = await this.runHistoryQuery(
+				`SELECT id, count() AS rows FROM ${this.getDataIdentifier(this._registryTable)}
+				GROUP BY id
+				HAVING rows > 1
+				ORDER BY id`,
+				{},
+				client,
+			);
+			found.duplicates = rows.map(row => ({ id: String(row.id), rows: Number(row.rows) }));
 		}
-		const obj = await this.getForeignObjectAsync(id);
-		if (!obj?.common) {
-			throw new Error(`Object ${id} not found`);
+		return found;
+	}
+
+	/**
+	 * Lists orphaned tables, views, rows and registry entries, see collectOrphans. `reasons` limits the list to
+	 * some of the ORPHAN_REASONS.
+	 */
+	async handleFindOrphans(msg) {
+		const request = isObject(msg.message) ? msg.message : {};
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
 		}
-		obj.common.custom = obj.common.custom || {};
-		obj.common.custom[this.namespace] = { ...options, enabled: true };
-		await this.setForeignObjectAsync(id, obj);
+		const reasons = this.resolveOrphanReasons(request.reasons);
+		const found = await this.collectOrphans(await this.readTableRegistry(this._client), reasons);
 		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+			this.sendTo(msg.from, msg.command, { error: null, ...found }, msg.callback);
 		}
 	}
 
-	async handleDisableHistory(msg) {
-		const id = msg.message?.id;
-		if (!id) {
-			throw new Error("disableHistory requires id");
+	/**
+	 * Removes what findOrphans lists. Without `dryRun: false` it only returns the list, and a run that removes
+	 * data needs the `reasons` to clean up, so no history is dropped by accident, e.g. that of datapoints whose
+	 * logging is only switched off. `keepAggregates: true` keeps the aggregate rows of removed datapoints and
+	 * of IDs without a registry entry. A per-state table another registry entry still refers to is kept. The
+	 * registry entry of a datapoint goes last, so a datapoint whose cleanup failed is listed again by the next
+	 * run.
+	 */
+	async handleCleanupOrphans(msg) {
+		const request = isObject(msg.message) ? msg.message : {};
+		const client = this._client;
+		if (!client) {
+			throw new Error("Not connected to ClickHouse");
 		}
-		const obj = await this.getForeignObjectAsync(id);
-		if (!obj?.common?.custom?.[this.namespace]) {
-			return;
+		const dryRun = parseBool(request.dryRun, true);
+		const keepAggregates = parseBool(request.keepAggregates, false);
+		if (!dryRun && (request.reasons === undefined || request.reasons === null)) {
+			throw new Error(`cleanupOrphans with dryRun: false requires reasons, some of ${ORPHAN_REASONS.join(", ")}`);
 		}
-		delete obj.common.custom[this.namespace];
-		await this.setForeignObjectAsync(id, obj);
+		const reasons = this.resolveOrphanReasons(request.reasons);
+
+		await this.flushBuffer(true);
+		const registry = await this.readTableRegistry(client);
+		const found = await this.collectOrphans(registry, reasons);
+		if (keepAggregates) {
+			found.aggregateIds = [];
+		}
+		const failed = [];
+		if (!dryRun) {
+			const attempt = async (name, action) => {
+				try {
+					await action();
+				} catch (error) {
+					failed.push({ name, error: extractError(error) });
+					this.log.warn(`Cannot remove orphaned ${name}: ${extractError(error)}`);
+				}
+			};
+			const removedIds = new Set(found.orphans.map(orphan => orphan.id));
+			const keptTables = new Set(
+				Array.from(registry.entries())
+					.filter(([id]) => !removedIds.has(id))
+					.flatMap(([, info]) => this.getRawTables(info)),
+			);
+			const stateIdentifiers = Array.from(
+				new Set(
+					Array.from(this._aggregateTiers.values()).flatMap(tier =>
+						Object.values(tier.tables).map(tables => tables.stateIdentifier),
+					),
+				),
+			);
+			const deleteIds = async (identifier, ids) => {
+				await client.command({
+					query: `ALTER TABLE ${identifier}${this.onCluster()} DELETE WHERE id IN {ids:Array(String)}`,
+					query_params: { ids },
+				});
+			};
+
+			for (const orphan of found.orphans) {
+				const info = registry.get(orphan.id);
+				await attempt(orphan.id, async () => {
+					for (const table of this.getRawTables(info)) {
+						if (this.isWideTable(table)) {
+							await deleteIds(this.quoteIdent(table), [orphan.id]);
+						} else if (!keptTables.has(table)) {
+							await this.dropRawTable(table);
+						}
+					}
+					if (!keepAggregates) {
+						await this.deleteAggregateStates(orphan.id, info);
+					}
+					this._lastSamples.delete(orphan.id);
+					await this.unregisterTable(orphan.id);
+				});
+			}
+			for (const table of found.tables) {
+				await attempt(table, () => this.dropRawTable(table));
+			}
+			for (const view of found.views) {
+				await attempt(view, async () => {
+					await this.dropTable(view, "VIEW");
+					this._materializedViewCache.delete(view);
+				});
+			}
+			if (found.wideIds.length) {
+				await attempt(this._wideTable, () => deleteIds(this.quoteIdent(this._wideTable), found.wideIds));
+			}
+			if (found.aggregateIds.length) {
+				for (const identifier of stateIdentifiers) {
+					await attempt(identifier, () => deleteIds(identifier, found.aggregateIds));
+				}
+			}
+			if (found.duplicates.length) {
+				await attempt(this._registryTable, () =>
+					client.command({ query: `OPTIMIZE TABLE ${this._registryIdentifier}${this.onCluster()} FINAL` }),
+				);
+			}
+			this.log.info(
+				`Removed ${found.orphans.length} orphaned datapoints, ${found.tables.length} tables and ${found.views.length} views${
+					failed.length ? `, ${failed.length} steps failed` : ""
+				}`,
+			);
+		}
+
 		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, { success: true }, msg.callback);
+			this.sendTo(
+				msg.from,
+				msg.command,
+				{ success: !failed.length, dryRun, keepAggregates, ...found, failed },
+				msg.callback,
+			);
 		}
 	}
 
-	handleGetEnabledDPs(msg) {
-		const result = {};
-		for (const [id, entry] of Array.from(this._tracked.entries())) {
-			if (!entry.ephemeral) {
-				result[id] = entry.config;
-			}
+	async dropMaterializedViewsFor(tableName) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
 		}
-		if (msg.callback) {
-			this.sendTo(msg.from, msg.command, result, msg.callback);
+		const names = new Set(
+			AGGREGATE_TIERS.flatMap(tier =>
+				Object.keys(AGGREGATE_KINDS).map(type => this.getMaterializedViewName(tableName, tier, type)),
+			),
+		);
+		for (const mvName of Array.from(names)) {
+			await this.dropTable(mvName, "VIEW");
+			this._materializedViewCache.delete(mvName);
+		}
+	}
+
+	async dropRawTable(tableName) {
+		if (!this._client) {
+			throw new Error("Not connected to ClickHouse");
 		}
+		await this.dropMaterializedViewsFor(tableName);
+		await this.dropTable(tableName);
+		this._tableTtlCache.delete(tableName);
 	}
 
+	/**
+	 * Tests every configured endpoint and the read endpoint with the settings of the admin page, which may not
+	 * be saved yet. The reply lists the endpoints that failed.
+	 */
 	async handleTestConnection(msg) {
 		const testConfig = msg.message?.config;
 		const config = {
@@ -1669,45 +6622,83 @@ GROUP BY day`;
 			secure: parseBool(testConfig?.secure ?? this._runtimeOptions.secure, false),
 			username: String(testConfig?.username ?? this._runtimeOptions.username ?? "default").trim() || "default",
 			password: testConfig?.password ?? this._runtimeOptions.password ?? "",
+			caCert: String(testConfig?.caCert ?? this._runtimeOptions.caCert ?? ""),
+			clientCert: String(testConfig?.clientCert ?? this._runtimeOptions.clientCert ?? ""),
+			clientKey: String(testConfig?.clientKey ?? this._runtimeOptions.clientKey ?? ""),
+			allowSelfSigned: parseBool(testConfig?.allowSelfSigned ?? this._runtimeOptions.allowSelfSigned, false),
 			database: String(testConfig?.database ?? this._runtimeOptions.database ?? "iobroker").trim() || "iobroker",
 			table: String(testConfig?.table ?? this._runtimeOptions.table ?? "history").trim() || "history",
+			cluster: String(testConfig?.cluster ?? this._runtimeOptions.cluster ?? "").trim(),
+			readHost: String(
+				testConfig?.readHost ??
+					(this._runtimeOptions.readEndpoint ? formatEndpoint(this._runtimeOptions.readEndpoint) : ""),
+			).trim(),
+			readUsername: String(testConfig?.readUsername ?? this._runtimeOptions.readUsername ?? "").trim(),
+			readPassword: String(testConfig?.readPassword ?? this._runtimeOptions.readPassword ?? ""),
 			connectTimeout: Number(
 				testConfig?.connectTimeout ?? this._runtimeOptions.connectTimeout ?? 10000,
 			) || 10000,
 		};
+		const endpoints = parseEndpoints(config.host, config.port);
+		const readEndpoint = parseEndpoints(config.readHost, config.port)[0];
 		this.log.debug(
-			`Testing ClickHouse connection with host=${config.host}:${config.port}, secure=${config.secure}, database=${config.database}, tablePrefix=${config.table}`,
+			`Testing ClickHouse connection with endpoints=${endpoints.map(formatEndpoint).join(",")}, readEndpoint=${readEndpoint ? formatEndpoint(readEndpoint) : "none"}, secure=${config.secure}, allowSelfSigned=${config.allowSelfSigned}, database=${config.database}, tablePrefix=${config.table}, cluster=${config.cluster || "none"}`,
 		);
 
-		const hostUrl = `${config.secure ? "https" : "http"}://${config.host}:${config.port}`;
-		const adminClient = createClient({
-			host: hostUrl,
-			username: config.username,
-			password: config.password,
-			request_timeout: config.connectTimeout,
-		});
+		const failures = [];
+		for (const endpoint of endpoints) {
+			try {
+				await this.testWriteEndpoint({ ...config, ...endpoint });
+			} catch (error) {
+				failures.push(`${formatEndpoint(endpoint)}: ${extractError(error)}`);
+			}
+		}
+		if (readEndpoint) {
+			const readConfig = {
+				...config,
+				...readEndpoint,
+				username: config.readUsername || config.username,
+				password: config.readUsername ? config.readPassword : config.password,
+			};
+			const client = createClient(this.buildClientOptions(readConfig, config.database));
+			try {
+				await client.query({ query: "SELECT 1", format: "JSONEachRow" }).then(result => result.json());
+			} catch (error) {
+				failures.push(`read endpoint ${formatEndpoint(readEndpoint)}: ${extractError(error)}`);
+			} finally {
+				await client.close().catch(() => null);
+			}
+		}
+		if (msg.callback) {
+			this.sendTo(msg.from, msg.command, { error: failures.length ? failures.join("; ") : null }, msg.callback);
+		}
+	}
+
+	async testWriteEndpoint(config) {
+		let adminClient = null;
 		let dataClient = null;
 		try {
+			adminClient = createClient(this.buildClientOptions(config));
+			if (config.cluster) {
+				const result = await adminClient.query({
+					query: "SELECT count() AS hosts FROM system.clusters WHERE cluster = {cluster:String}",
+					format: "JSONEachRow",
+					query_params: { cluster: config.cluster },
+				});
+				const rows = await result.json();
+				if (!Number(rows[0]?.hosts)) {
+					throw new Error(`Cluster ${config.cluster} is not defined on the server`);
+				}
+			}
 			await adminClient.command({
-				query: `CREATE DATABASE IF NOT EXISTS ${this.quoteIdent(config.database)}`,
-			});
-			dataClient = createClient({
-				host: hostUrl,
-				database: config.database,
-				username: config.username,
-				password: config.password,
-				request_timeout: config.connectTimeout,
+				query: `CREATE DATABASE IF NOT EXISTS ${this.quoteIdent(config.database)}${config.cluster ? ` ON CLUSTER ${this.quoteIdent(config.cluster)}` : ""}`,
 			});
+			dataClient = createClient(this.buildClientOptions(config, config.database));
 			await dataClient.query({ query: "SELECT 1", format: "JSONEachRow" }).then(result => result.json());
-			if (msg.callback) {
-				this.sendTo(msg.from, msg.command, { error: null }, msg.callback);
-			}
-		} catch (error) {
-			if (msg.callback) {
-				this.sendTo(msg.from, msg.command, { error: extractError(error) }, msg.callback);
-			}
 		} finally {
-			await adminClient.close().catch(() => null);
+			if (adminClient) {
+				await adminClient.close().catch(() => null);
+			}
 			if (dataClient) {
 				await dataClient.close().catch(() => null);
 			}
@@ -1717,6 +6708,19 @@ GROUP BY day`;
 
 if (require.main !== module) {
 	module.exports = options => new Clickhouse(options);
+	// the pure helpers, for the unit tests
+	Object.assign(module.exports, {
+		parseCsvLine,
+		parseCsvValue,
+		parseTimestamp,
+		parseImportTimestamp,
+		parseEndpoints,
+		formatEndpoint,
+		floorToStep,
+		getTimezoneOffset,
+		getViewTarget,
+		parseTtlDays,
+	});
 } else {
 	new Clickhouse();
 }
\ No newline at end of file
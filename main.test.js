@@ -28,3 +28,1673 @@ describe("module to test => function to test", () => {
 });
 
 // ... more test suites => describe
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const proxyquire = require("proxyquire");
+const sinon = require("sinon");
+const { Readable } = require("stream");
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "clickhouse-test-"));
+
+class FakeAdapter {
+	constructor() {
+		this.config = {};
+		this.namespace = "clickhouse.0";
+		this.log = { debug() {}, info() {}, warn() {}, error() {} };
+		/** @type {Map<string, any>} */
+		this.objects = new Map();
+		/** @type {Map<string, any>} */
+		this.states = new Map();
+		/** @type {any[][]} */
+		this.sent = [];
+	}
+	on() {}
+	sendTo(...args) {
+		this.sent.push(args);
+	}
+	/** @returns {Promise<any>} */
+	async sendToAsync() {
+		return null;
+	}
+	async getForeignObjectAsync(id) {
+		return this.objects.get(id) || null;
+	}
+	async getForeignStateAsync(id) {
+		return this.states.get(id) || null;
+	}
+	async setStateAsync(id, state) {
+		this.states.set(id, state);
+	}
+	async setStateChangedAsync(id, state) {
+		this.states.set(id, state);
+	}
+}
+
+/** @type {(options: Record<string, any>) => any} the clients the adapter opens itself */
+let openClient = () => createFakeClient();
+
+const createAdapter = proxyquire("./main.js", {
+	"@iobroker/adapter-core": { Adapter: FakeAdapter, getAbsoluteInstanceDataDir: () => dataDirectory, "@noCallThru": true },
+	"@clickhouse/client": { createClient: options => openClient(options), "@noCallThru": true },
+});
+const helpers = createAdapter;
+
+after(() => {
+	fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+/**
+ * A ClickHouse client that records the statements it gets. `respond` returns the rows of a query, or throws to
+ * fail it.
+ *
+ * @param {(query: string, params: Record<string, any>) => any[]} [respond]
+ */
+function createFakeClient(respond = () => []) {
+	const client = {
+		/** @type {any[]} */
+		commands: [],
+		/** @type {any[]} */
+		queries: [],
+		/** @type {any[]} */
+		inserts: [],
+		async command(options) {
+			client.commands.push(options);
+			return {};
+		},
+		async query(options) {
+			client.queries.push(options);
+			const rows = respond(options.query, options.query_params || {});
+			return { json: async () => rows };
+		},
+		async insert(options) {
+			client.inserts.push(options);
+			return {};
+		},
+		/** @type {any[]} */
+		execs: [],
+		// the exported rows, `rows` of them are reported in the summary
+		exported: "",
+		async exec(options) {
+			client.execs.push(options);
+			const rows = client.exported.split("\n").filter(line => line).length;
+			return { stream: Readable.from([client.exported]), summary: { result_rows: String(rows) } };
+		},
+		async ping() {
+			return { success: true };
+		},
+		async close() {},
+	};
+	return client;
+}
+
+/**
+ * An adapter with the default configuration and a fake client, without timers or subscriptions.
+ *
+ * @param {(query: string, params: Record<string, any>) => any[]} [respond]
+ */
+function createConnectedAdapter(respond) {
+	const adapter = createAdapter();
+	adapter.parseAdapterConfig();
+	const client = createFakeClient(respond);
+	adapter._client = /** @type {any} */ (client);
+	adapter._tablePrefix = "history";
+	adapter._registryTable = "history_registry";
+	adapter._registryIdentifier = "`history_registry`";
+	adapter._wideTable = "history_wide";
+	return { adapter, client };
+}
+
+const SNAPSHOT_DIRECTORY = path.join(__dirname, "test", "snapshots");
+
+/**
+ * Compares `actual` with the stored snapshot, `UPDATE_SNAPSHOTS=1` writes it instead.
+ */
+function expectSnapshot(name, actual) {
+	const file = path.join(SNAPSHOT_DIRECTORY, name);
+	if (process.env.UPDATE_SNAPSHOTS) {
+		fs.mkdirSync(SNAPSHOT_DIRECTORY, { recursive: true });
+		fs.writeFileSync(file, actual);
+	}
+	expect(actual).to.equal(fs.readFileSync(file, "utf8"));
+}
+
+describe("parseCsvLine", () => {
+	it("splits at the delimiter", () => {
+		expect(helpers.parseCsvLine("1;;x", ";")).to.deep.equal(["1", "", "x"]);
+	});
+
+	it("keeps delimiters and escaped quotes inside quoted fields", () => {
+		expect(helpers.parseCsvLine('a,"b,c","d ""e"""', ",")).to.deep.equal(["a", "b,c", 'd "e"']);
+	});
+});
+
+describe("parseTimestamp", () => {
+	it("takes numbers as epoch milliseconds", () => {
+		expect(helpers.parseTimestamp(1700000000000)).to.equal(1700000000000);
+		expect(helpers.parseTimestamp(1.5)).to.equal(1);
+	});
+
+	it("parses date strings", () => {
+		expect(helpers.parseTimestamp("2024-01-01T00:00:00Z")).to.equal(1704067200000);
+	});
+
+	it("returns undefined for missing and invalid values", () => {
+		expect(helpers.parseTimestamp(undefined)).to.be.undefined;
+		expect(helpers.parseTimestamp("")).to.be.undefined;
+		expect(helpers.parseTimestamp("nope")).to.be.undefined;
+	});
+});
+
+describe("parseImportTimestamp", () => {
+	it("detects epoch seconds with the auto unit", () => {
+		expect(helpers.parseImportTimestamp(1700000000)).to.equal(1700000000000);
+		expect(helpers.parseImportTimestamp("1700000000.5")).to.equal(1700000000500);
+		expect(helpers.parseImportTimestamp(1700000000000)).to.equal(1700000000000);
+	});
+
+	it("follows an explicit unit", () => {
+		expect(helpers.parseImportTimestamp(1700000000, "ms")).to.equal(1700000000);
+		expect(helpers.parseImportTimestamp("1700000000", "s")).to.equal(1700000000000);
+	});
+
+	it("parses date strings", () => {
+		expect(helpers.parseImportTimestamp("2024-01-01T00:00:00Z", "s")).to.equal(1704067200000);
+	});
+});
+
+describe("parseEndpoints", () => {
+	it("parses hosts with and without ports", () => {
+		expect(helpers.parseEndpoints("a, b:9000;[::1]:8443 [fe80::1]", 8123)).to.deep.equal([
+			{ host: "a", port: 8123 },
+			{ host: "b", port: 9000 },
+			{ host: "::1", port: 8443 },
+			{ host: "fe80::1", port: 8123 },
+		]);
+	});
+
+	it("falls back to the default port for port 0", () => {
+		expect(helpers.parseEndpoints("c:0", 8123)).to.deep.equal([{ host: "c", port: 8123 }]);
+	});
+
+	it("returns no endpoints for an empty value", () => {
+		expect(helpers.parseEndpoints("", 8123)).to.deep.equal([]);
+		expect(helpers.parseEndpoints(undefined, 8123)).to.deep.equal([]);
+	});
+});
+
+describe("getTimezoneOffset", () => {
+	it("follows daylight saving time", () => {
+		expect(helpers.getTimezoneOffset(Date.UTC(2024, 0, 1), "Europe/Berlin")).to.equal(3600 * 1000);
+		expect(helpers.getTimezoneOffset(Date.UTC(2024, 6, 1), "Europe/Berlin")).to.equal(2 * 3600 * 1000);
+		expect(helpers.getTimezoneOffset(Date.UTC(2024, 0, 1), "America/New_York")).to.equal(-5 * 3600 * 1000);
+	});
+
+	it("is zero for UTC", () => {
+		expect(helpers.getTimezoneOffset(Date.UTC(2024, 6, 1, 12, 30), "UTC")).to.equal(0);
+	});
+});
+
+describe("floorToStep", () => {
+	const DAY_MS = 24 * 3600 * 1000;
+
+	it("aligns steps shorter than a day to the epoch", () => {
+		expect(helpers.floorToStep(Date.UTC(2024, 0, 15, 10, 42), 3600 * 1000, "Europe/Berlin")).to.equal(Date.UTC(2024, 0, 15, 10));
+		expect(helpers.floorToStep(Date.UTC(2024, 0, 15, 10, 42), 15 * 60 * 1000, "UTC")).to.equal(Date.UTC(2024, 0, 15, 10, 30));
+	});
+
+	it("starts daily steps at midnight of the timezone", () => {
+		expect(helpers.floorToStep(Date.UTC(2024, 0, 15, 23, 30), DAY_MS, "Europe/Berlin")).to.equal(Date.UTC(2024, 0, 15, 23));
+		expect(helpers.floorToStep(Date.UTC(2024, 0, 15, 23, 30), DAY_MS, "UTC")).to.equal(Date.UTC(2024, 0, 15));
+	});
+
+	it("starts daily steps at midnight on the day daylight saving time begins", () => {
+		expect(helpers.floorToStep(Date.UTC(2024, 2, 31, 12), DAY_MS, "Europe/Berlin")).to.equal(Date.UTC(2024, 2, 30, 23));
+	});
+});
+
+describe("getViewTarget", () => {
+	it("reads the target table of a materialized view", () => {
+		expect(helpers.getViewTarget("CREATE MATERIALIZED VIEW db.mvh_x TO db.history_hourly_state AS SELECT 1")).to.equal("history_hourly_state");
+		expect(helpers.getViewTarget("CREATE MATERIALIZED VIEW `mv` TO `history_daily_state` (`id` String) AS SELECT 1")).to.equal("history_daily_state");
+		expect(helpers.getViewTarget("CREATE VIEW v AS SELECT 1")).to.equal("");
+	});
+});
+
+describe("resolveQueryTables", () => {
+	const adapter = createAdapter();
+	adapter.parseAdapterConfig();
+	adapter._wideTable = "history_wide";
+	adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+	adapter._tableCache.set("it's.0", { table: "history_it_s_0", type: "number" });
+	adapter._tableCache.set('say "hi".0', { table: "history_say_hi_0", type: "string" });
+	adapter._tableCache.set("w.0", { table: "history_wide", type: "boolean" });
+
+	it("replaces placeholders with the table of the datapoint", () => {
+		expect(adapter.resolveQueryTables("SELECT * FROM {table:'a.0'}", {})).to.equal("SELECT * FROM `history_a_0`");
+		expect(adapter.resolveQueryTables('SELECT * FROM { table : "a.0" }', {})).to.equal("SELECT * FROM `history_a_0`");
+	});
+
+	it("unescapes quotes in the ID", () => {
+		expect(adapter.resolveQueryTables("SELECT * FROM {table:'it\\'s.0'}", {})).to.equal("SELECT * FROM `history_it_s_0`");
+		expect(adapter.resolveQueryTables('SELECT * FROM {table:"say \\"hi\\".0"}', {})).to.equal("SELECT * FROM `history_say_hi_0`");
+	});
+
+	it("passes IDs in the wide table as query parameters", () => {
+		const params = {};
+		const query = adapter.resolveQueryTables("SELECT * FROM {table:'w.0'} JOIN {table:'w.0'} USING ts", params);
+		expect(query).to.equal(
+			"SELECT * FROM (SELECT ts, value_bool AS value, ack, q, `from`, lc FROM `history_wide` WHERE id = {queryTable0:String})" +
+				" JOIN (SELECT ts, value_bool AS value, ack, q, `from`, lc FROM `history_wide` WHERE id = {queryTable1:String}) USING ts",
+		);
+		expect(params).to.deep.equal({ queryTable0: "w.0", queryTable1: "w.0" });
+	});
+
+	it("rejects datapoints without history", () => {
+		expect(() => adapter.resolveQueryTables("SELECT * FROM {table:'nope'}", {})).to.throw("No history stored for nope");
+	});
+});
+
+describe("buildTierStateSelect", () => {
+	const adapter = createAdapter();
+	adapter.parseAdapterConfig();
+	const hourly = {
+		name: "hourly",
+		bucketColumn: "hour",
+		bucketFunction: "toStartOfHour",
+		bucketUnit: "hour",
+		timezone: "UTC",
+	};
+
+	for (const type of ["number", "boolean", "string"]) {
+		it(`builds the materialized view select for ${type} datapoints`, () => {
+			const select = adapter.buildTierStateSelect(hourly, { id: "{id:String}", table: "`history_x`", value: "value", type });
+			expectSnapshot(`tier-state-${type}.sql`, select);
+		});
+	}
+
+	it("builds the rebuild select with a window over the rows of the wide table", () => {
+		const select = adapter.buildTierStateSelect(hourly, {
+			id: "id",
+			table: "`history_wide`",
+			value: "value_number",
+			perId: true,
+			window: true,
+			conditions: ["id = {id:String}"],
+			buckets: ["hour >= {start:DateTime}"],
+		});
+		expectSnapshot("tier-state-window.sql", select);
+	});
+});
+
+describe("counterDelta", () => {
+	const adapter = createAdapter();
+
+	/**
+	 * Evaluates the SQL of counterDelta for a series of readings, it only uses functions with a JavaScript
+	 * counterpart.
+	 */
+	function sumDeltas(readings) {
+		let total = 0;
+		let previous = "NULL";
+		for (const reading of readings) {
+			const sql = adapter.counterDelta(String(reading), previous).replace(/\bif\(/g, "iif(");
+			total += new Function("iif", "ifNull", "NULL", `return ${sql};`)(
+				(condition, then, otherwise) => (condition ? then : otherwise),
+				(value, fallback) => value ?? fallback,
+				null,
+			);
+			previous = String(reading);
+		}
+		return total;
+	}
+
+	it("counts the increase over the previous reading", () => {
+		expect(sumDeltas([100, 101.5, 103])).to.equal(3);
+	});
+
+	it("nets small drops against the following increase", () => {
+		expect(sumDeltas([100, 99.5, 100])).to.equal(0);
+		expect(sumDeltas([100, 99.5, 101])).to.equal(1);
+	});
+
+	it("counts a reading after a reset from zero", () => {
+		expect(sumDeltas([100, 102, 5])).to.equal(7);
+	});
+});
+
+describe("buildAggregatedHistoryQuery", () => {
+	const { adapter } = createConnectedAdapter();
+	adapter._tracked.set("meter.0", { config: { counter: true } });
+	const window = { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 2), step: 3600 * 1000 };
+
+	it("derives the predecessor of counter readings from the raw rows", () => {
+		const params = {};
+		const query = adapter.buildAggregatedHistoryQuery("meter.0", { table: "history_meter_0", type: "number" }, {}, "total", window, params);
+		expect(query).not.to.include("prev_value");
+		expectSnapshot("history-counter-total.sql", query);
+	});
+
+	it("reads only the requested range for other datapoints", () => {
+		const params = {};
+		const query = adapter.buildAggregatedHistoryQuery("power.0", { table: "history_power_0", type: "number" }, {}, "total", window, params);
+		expect(query).not.to.include("lagInFrame");
+		expect(query).to.include("ts >= fromUnixTimestamp64Milli({start:UInt64})");
+	});
+});
+
+describe("detectRetimedTiers", () => {
+	const comments = {
+		history_hourly_state: "",
+		history_daily_state: "timezone=UTC",
+		history_monthly_state: "timezone=Europe/Berlin deltas=1",
+	};
+	const respond = query =>
+		query.includes("SELECT name, comment FROM system.tables")
+			? Object.entries(comments).map(([name, comment]) => ({ name, comment }))
+			: [];
+
+	it("rebuilds tiers with another timezone and only marks tables without consumption", async () => {
+		const { adapter, client } = createConnectedAdapter(respond);
+		const messages = [];
+		adapter.log.info = message => messages.push(message);
+		await adapter.ensureAggregateInfrastructure();
+		expect(Array.from(adapter._retimedTiers)).to.deep.equal(["monthly"]);
+		const marked = client.commands.map(command => command.query).filter(query => query.includes("MODIFY COMMENT"));
+		expect(marked).to.deep.equal(
+			["hourly", "daily"].flatMap(tier =>
+				["", "_bool", "_enum"].map(suffix => `ALTER TABLE \`history_${tier}${suffix}_state\` MODIFY COMMENT 'timezone=UTC deltas=1'`),
+			),
+		);
+		expect(messages.filter(message => message.includes("rebuildAggregates"))).to.have.length(1);
+	});
+
+	it("does not start a second rebuild on a reconnect", async () => {
+		const adapter = createAdapter();
+		adapter.parseAdapterConfig();
+		openClient = () => createFakeClient(respond);
+		let rebuilds = 0;
+		/** @type {(value?: any) => void} */
+		let finish = () => {};
+		adapter.rebuildRetimedTiers = () => {
+			rebuilds++;
+			return new Promise(resolve => (finish = resolve));
+		};
+		try {
+			await adapter.connectToClickHouse();
+			await adapter.connectToClickHouse();
+			expect(rebuilds).to.equal(1);
+			finish();
+			await adapter._retimeRebuild;
+			expect(adapter._retimeRebuild).to.equal(null);
+			await adapter.connectToClickHouse();
+			expect(rebuilds).to.equal(2);
+			finish();
+		} finally {
+			openClient = () => createFakeClient();
+			adapter.stopHealthCheck();
+		}
+	});
+});
+
+describe("importHistory from an instance", () => {
+	const base = Date.UTC(2024, 0, 1);
+
+	it("fails when the source instance does not answer in time", async () => {
+		const { adapter } = createConnectedAdapter();
+		const calls = [];
+		adapter.sendToAsync = async (...args) => {
+			calls.push(args);
+			throw new Error("Timeout exceeded");
+		};
+		const message = { command: "importHistory", message: { instance: "history.0", id: "a.0" } };
+		await expect(adapter.handleImportHistory(message)).to.be.rejectedWith("getHistory of history.0 failed for a.0: Timeout exceeded");
+		expect(calls[0][3]).to.deep.equal({ timeout: 30000 });
+		expect(adapter._import.running).to.equal(false);
+		await expect(adapter.handleImportHistory(message)).to.be.rejectedWith("Timeout exceeded");
+	});
+
+	it("pages without losing or repeating rows that share the boundary timestamp", async () => {
+		const { adapter, client } = createConnectedAdapter();
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		const first = Array.from({ length: 4998 }, (_, index) => ({ ts: base + index, val: index }));
+		first.push({ ts: base + 4998, val: 1 }, { ts: base + 4998, val: 2 });
+		const second = [
+			{ ts: base + 4998, val: 1 },
+			{ ts: base + 4998, val: 2 },
+			{ ts: base + 4998, val: 3 },
+			{ ts: base + 4999, val: 4 },
+			{ ts: base + 5000, val: 5 },
+		];
+		const starts = [];
+		adapter.sendToAsync = async (_instance, _command, request) => {
+			starts.push(request.options.start);
+			return { result: starts.length === 1 ? first : second };
+		};
+		await adapter.handleImportHistory({ command: "importHistory", message: { instance: "history.0", id: "a.0", start: base } });
+		expect(starts).to.deep.equal([base, base + 4998]);
+		const values = client.inserts.flatMap(insert => insert.values.map(row => row.value));
+		expect(values).to.have.length(5003);
+		expect(values.slice(-3)).to.deep.equal([3, 4, 5]);
+	});
+});
+
+describe("importHistory next to stored history", () => {
+	const base = Date.UTC(2024, 0, 1);
+
+	/**
+	 * Imports `batches` of entries for a.0 and returns the ranges passed to rebuildAggregatesFor.
+	 */
+	async function importBatches(batches, stored) {
+		const { adapter } = createConnectedAdapter(query => (query.includes("min(ts)") ? [{ ts: base + 7200000 }] : []));
+		if (stored) {
+			adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		} else {
+			adapter.ensureTableFor = async id => {
+				const info = { table: "history_a_0", type: "number" };
+				adapter._tableCache.set(id, info);
+				return info;
+			};
+		}
+		const rebuilds = [];
+		adapter.rebuildAggregatesFor = async (id, _info, start, end) => {
+			rebuilds.push([id, start, end]);
+			return true;
+		};
+		for (const batch of batches) {
+			await adapter.importEntries("a.0", batch, "ms");
+		}
+		await adapter.rebuildImportedAggregates();
+		return rebuilds;
+	}
+
+	it("rebuilds the imported range up to the next stored sample", async () => {
+		const rebuilds = await importBatches([[{ ts: base + 60000, val: 1 }, { ts: base, val: 2 }]], true);
+		expect(rebuilds).to.deep.equal([["a.0", base, base + 7200000]]);
+	});
+
+	it("rebuilds a new datapoint whose batches arrive out of order", async () => {
+		const rebuilds = await importBatches([[{ ts: base + 60000, val: 1 }], [{ ts: base, val: 2 }]], false);
+		expect(rebuilds).to.deep.equal([["a.0", base, base + 7200000]]);
+	});
+
+	it("leaves a new datapoint imported in order to the materialized views", async () => {
+		const rebuilds = await importBatches([[{ ts: base, val: 1 }], [{ ts: base + 60000, val: 2 }]], false);
+		expect(rebuilds).to.deep.equal([]);
+	});
+});
+
+describe("renameHistory", () => {
+	it("holds new values of both IDs while the materialized views are swapped", async () => {
+		const { adapter, client } = createConnectedAdapter();
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		const dropViews = adapter.dropMaterializedViewsFor.bind(adapter);
+		let written = -1;
+		adapter.dropMaterializedViewsFor = async table => {
+			await dropViews(table);
+			adapter._buffer.push({ id: "b.0", type: "number", values: { ts: "2024-01-01 00:00:00.000", value: 1 } });
+			written = await adapter.flushBuffer(true);
+		};
+		await adapter.handleRenameHistory({ command: "renameHistory", message: { oldId: "a.0", newId: "b.0" } });
+		const rawInserts = () => client.inserts.filter(insert => insert.table !== "history_registry");
+		expect(written).to.equal(0);
+		expect(rawInserts()).to.have.length(0);
+		expect(adapter._buffer).to.have.length(1);
+		expect(adapter._tableCache.get("b.0")).to.deep.equal({ table: "history_a_0", type: "number" });
+		await adapter.flushBuffer(true);
+		expect(rawInserts().map(insert => insert.table)).to.deep.equal(["history_a_0"]);
+	});
+
+	it("merges into the table of a new ID that already has history", async () => {
+		const { adapter, client } = createConnectedAdapter(query =>
+			query.includes("system.parts") ? [{ partition_id: "202401", rows: "3" }] : [],
+		);
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		adapter._tableCache.set("b.0", { table: "history_b_0", type: "number" });
+		await adapter.handleRenameHistory({ command: "renameHistory", message: { oldId: "a.0", newId: "b.0" } });
+		const queries = client.commands.map(command => command.query);
+		expect(queries.some(query => /^INSERT INTO `history_b_0_staging`/.test(query) && query.includes("FROM `history_a_0`"))).to.equal(true);
+		expect(queries).to.include("ALTER TABLE `history_b_0` ATTACH PARTITION ID '202401' FROM `history_b_0_staging`");
+		expect(queries).to.include("DROP TABLE IF EXISTS `history_a_0`");
+		expect(adapter._tableCache.has("a.0")).to.equal(false);
+	});
+});
+
+describe("spool", () => {
+	const spoolFile = path.join(dataDirectory, "spool.jsonl");
+
+	/**
+	 * A buffered row of a numeric datapoint, `second` seconds into 2024.
+	 */
+	function makeRow(id, second) {
+		return {
+			id,
+			table: `history_${id.replace(/\W/g, "_")}`,
+			type: "number",
+			values: { ts: `2024-01-01 00:00:${String(second % 60).padStart(2, "0")}.${String(second).padStart(3, "0")}`, value: second },
+		};
+	}
+
+	async function createSpooledAdapter(rows) {
+		const { adapter, client } = createConnectedAdapter();
+		await adapter.initializeSpool();
+		if (rows.length) {
+			await adapter.appendToSpool(rows);
+		}
+		return { adapter, client };
+	}
+
+	beforeEach(() => {
+		fs.rmSync(spoolFile, { force: true });
+		fs.rmSync(`${spoolFile}.offset`, { force: true });
+	});
+
+	it("replays the rows in their original order", async () => {
+		const rows = [makeRow("a.0", 1), makeRow("b.0", 2), makeRow("a.0", 3), makeRow("b.0", 4)];
+		const { adapter, client } = await createSpooledAdapter(rows);
+		expect(await adapter.replaySpool()).to.equal(4);
+		expect(client.inserts.map(insert => [insert.table, insert.values.map(row => row.value)])).to.deep.equal([
+			["history_a_0", [1, 3]],
+			["history_b_0", [2, 4]],
+		]);
+		expect(adapter._spool.rows).to.equal(0);
+		expect(fs.readFileSync(spoolFile, "utf8")).to.equal("");
+	});
+
+	it("continues after the last written batch when a replay fails", async () => {
+		const rows = Array.from({ length: 5001 }, (_, index) => makeRow("a.0", index));
+		const { adapter, client } = await createSpooledAdapter(rows);
+		const insert = client.insert;
+		client.insert = async options => {
+			if (client.inserts.length) {
+				throw new Error("connection reset");
+			}
+			return insert(options);
+		};
+		await expect(adapter.replaySpool()).to.be.rejectedWith("connection reset");
+		expect(adapter._spool.rows).to.equal(1);
+
+		const restarted = await createSpooledAdapter([]);
+		expect(restarted.adapter._spool.rows).to.equal(1);
+		expect(await restarted.adapter.replaySpool()).to.equal(1);
+		expect(restarted.client.inserts.map(insert => insert.values.map(row => row.value))).to.deep.equal([[5000]]);
+	});
+
+	it("drops the oldest rows when the spool exceeds its size", async () => {
+		const { adapter } = await createSpooledAdapter([]);
+		adapter._spool.maxBytes = 1000;
+		for (let second = 0; second < 20; second++) {
+			await adapter.appendToSpool([makeRow("a.0", second)]);
+		}
+		const kept = fs.readFileSync(spoolFile, "utf8").trim().split("\n").map(line => JSON.parse(line).values.value);
+		expect(Buffer.byteLength(fs.readFileSync(spoolFile))).to.be.at.most(1000);
+		expect(kept[kept.length - 1]).to.equal(19);
+		expect(kept).to.deep.equal(Array.from({ length: kept.length }, (_, index) => 20 - kept.length + index));
+		expect(adapter._spool.rows).to.equal(kept.length);
+		expect(adapter._spool.dropped).to.be.above(0);
+	});
+
+	it("keeps the rows of held datapoints in the buffer", async () => {
+		const rows = [makeRow("a.0", 1), makeRow("b.0", 2), makeRow("a.0", 3)];
+		const { adapter, client } = await createSpooledAdapter(rows);
+		adapter._buffer.push(makeRow("a.0", 4));
+		await adapter.holdFlushes(["a.0"]);
+		await adapter.replaySpool();
+		expect(client.inserts.map(insert => insert.table)).to.deep.equal(["history_b_0"]);
+		expect(adapter._buffer.map(row => row.values.value)).to.deep.equal([1, 3, 4]);
+		expect(adapter._spool.rows).to.equal(0);
+	});
+});
+
+describe("query", () => {
+	/**
+	 * Runs the query command and returns the options of the ClickHouse query and the reply.
+	 */
+	async function runQuery(message) {
+		const { adapter, client } = createConnectedAdapter(() => [{ x: 1 }]);
+		adapter._tableCache.set("w.0", { table: "history_wide", type: "number" });
+		await adapter.handleQuery({ command: "query", from: "system.adapter.admin.0", callback: {}, message });
+		return { options: client.queries[0], reply: adapter.sent[0][2] };
+	}
+
+	it("runs read-only with the row and time limits", async () => {
+		const { options, reply } = await runQuery({ query: "SELECT 1", maxRows: 99999999, timeout: 5 });
+		expect(options.clickhouse_settings).to.deep.equal({
+			max_execution_time: 5,
+			max_result_rows: "10000",
+			result_overflow_mode: "throw",
+			readonly: "1",
+		});
+		expect(reply).to.deep.equal({ error: null, result: [{ x: 1 }] });
+	});
+
+	it("fills the placeholders and the parameters", async () => {
+		const { options } = await runQuery({ query: "SELECT avg(value) FROM {table:'w.0'} WHERE ts > {from:DateTime64(3)}", params: { from: 1 } });
+		expect(options.query).to.equal(
+			"SELECT avg(value) FROM (SELECT ts, value_number AS value, ack, q, `from`, lc FROM `history_wide` WHERE id = {queryTable0:String}) WHERE ts > {from:DateTime64(3)}",
+		);
+		expect(options.query_params).to.deep.equal({ from: 1, queryTable0: "w.0" });
+	});
+
+	it("rejects parameters that would replace a placeholder ID", async () => {
+		await expect(runQuery({ query: "SELECT * FROM {table:'w.0'}", params: { queryTable0: "other.0" } })).to.be.rejectedWith(
+			"query params starting with queryTable are reserved",
+		);
+	});
+
+	it("rejects statements other than SELECT", async () => {
+		await expect(runQuery("DROP TABLE history_wide")).to.be.rejectedWith("query requires a SELECT statement");
+	});
+});
+
+describe("reconnect", () => {
+	/** @type {sinon.SinonFakeTimers} */
+	let clock;
+	let reachable = false;
+
+	/**
+	 * A client of a server that refuses connections while `reachable` is false.
+	 */
+	function openServerClient() {
+		const client = createFakeClient();
+		const command = client.command;
+		client.command = async options => {
+			if (!reachable) {
+				throw new Error("connect ECONNREFUSED");
+			}
+			return command(options);
+		};
+		return client;
+	}
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+		reachable = false;
+		openClient = openServerClient;
+	});
+
+	afterEach(() => {
+		clock.restore();
+		openClient = () => createFakeClient();
+	});
+
+	it("keeps retrying with a doubling delay until the server is reachable", async () => {
+		const adapter = createAdapter();
+		adapter.parseAdapterConfig();
+		await adapter.establishConnection();
+		expect(adapter._client).to.equal(null);
+		expect(adapter._reconnectDelay).to.equal(5000);
+		await clock.tickAsync(5000);
+		expect(adapter._reconnectDelay).to.equal(10000);
+		reachable = true;
+		await clock.tickAsync(10000);
+		expect(adapter._client).not.to.equal(null);
+		expect(adapter._reconnectDelay).to.equal(0);
+		expect(adapter.states.get("info.connection")).to.equal(true);
+		adapter.stopHealthCheck();
+	});
+
+	it("caps the delay at five minutes", () => {
+		const adapter = createAdapter();
+		for (let attempt = 0; attempt < 10; attempt++) {
+			adapter.scheduleReconnect(new Error("down"));
+			clearTimeout(adapter._reconnectTimer);
+			adapter._reconnectTimer = null;
+		}
+		expect(adapter._reconnectDelay).to.equal(5 * 60 * 1000);
+	});
+
+	it("buffers values while ClickHouse is not reachable", async () => {
+		const adapter = createAdapter();
+		adapter.parseAdapterConfig();
+		await adapter.establishConnection();
+		adapter._buffer.push({ id: "a.0", table: "history_a_0", type: "number", values: { ts: "2024-01-01 00:00:00.000", value: 1 } });
+		expect(await adapter.flushBuffer(true)).to.equal(0);
+		expect(adapter._buffer).to.have.length(1);
+		clearTimeout(adapter._reconnectTimer);
+	});
+});
+
+describe("wide table layout", () => {
+	it("writes values into the column of their type", async () => {
+		const { adapter, client } = createConnectedAdapter();
+		adapter._runtimeOptions.storageLayout = "wide";
+		const info = await adapter.ensureTableFor("a.0", "number");
+		expect(info).to.deep.equal({ table: "history_wide", type: "number" });
+		adapter._buffer.push(adapter.buildRow("a.0", info, { value: 21.5 }, { ts: Date.UTC(2024, 0, 1), lc: Date.UTC(2024, 0, 1), ack: true }));
+		await adapter.flushBuffer(true);
+		const insert = client.inserts.find(item => item.table === "history_wide");
+		expect(insert.values).to.have.length(1);
+		expect(insert.values[0]).to.include({ id: "a.0", ts: "2024-01-01 00:00:00.000", value_number: 21.5 });
+		expect(insert.values[0]).not.to.have.property("value");
+	});
+
+	describe("migrateStorage", () => {
+		const info = { table: "history_a_0", type: "number" };
+
+		it("clears the wide rows of the datapoint before it copies its table", async () => {
+			const { adapter, client } = createConnectedAdapter(query =>
+				query.includes("system.parts") ? [{ partition_id: "202401", rows: "5" }] : [],
+			);
+			adapter._tableCache.set("a.0", info);
+			expect(await adapter.migrateTableToWide("a.0", info, false)).to.equal(5);
+			const queries = client.commands.map(command => command.query);
+			const cleared = queries.indexOf("ALTER TABLE `history_wide` DELETE WHERE id = {id:String}");
+			const copied = queries.findIndex(query => query.startsWith("INSERT INTO `history_wide_staging`"));
+			expect(cleared).to.be.at.least(0);
+			expect(copied).to.be.above(cleared);
+			expect(adapter._tableCache.get("a.0")).to.deep.equal({ table: "history_wide", type: "number" });
+			expect(adapter._heldIds.size).to.equal(0);
+		});
+
+		it("restores the registry entry and removes the copied rows when the copy fails", async () => {
+			const { adapter, client } = createConnectedAdapter(query => {
+				if (query.includes("system.parts")) {
+					throw new Error("Memory limit exceeded");
+				}
+				return [];
+			});
+			adapter._tableCache.set("a.0", info);
+			await expect(adapter.migrateTableToWide("a.0", info, true)).to.be.rejectedWith("Memory limit exceeded");
+			const queries = client.commands.map(command => command.query);
+			expect(queries.filter(query => query === "ALTER TABLE `history_wide` DELETE WHERE id = {id:String}")).to.have.length(2);
+			expect(queries).not.to.include("DROP TABLE IF EXISTS `history_a_0`");
+			expect(adapter._tableCache.get("a.0")).to.equal(info);
+			expect(client.inserts.at(-1).values[0]).to.include({ id: "a.0", table: "history_a_0" });
+			expect(adapter._heldIds.size).to.equal(0);
+		});
+	});
+});
+
+describe("importHistory from a file", () => {
+	const importDirectory = path.join(dataDirectory, "imports");
+
+	/**
+	 * Writes `content` to the imports folder and imports it, returns the inserted rows and the reply.
+	 */
+	async function importFile(name, content, message = {}) {
+		fs.mkdirSync(importDirectory, { recursive: true });
+		fs.writeFileSync(path.join(importDirectory, name), content);
+		const { adapter, client } = createConnectedAdapter();
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		adapter.rebuildAggregatesFor = async () => true;
+		await adapter.handleImportHistory({ command: "importHistory", callback: {}, message: { file: name, ...message } });
+		const rows = client.inserts.filter(insert => insert.table === "history_a_0").flatMap(insert => insert.values);
+		return { rows, reply: adapter.sent[0][2] };
+	}
+
+	it("reads CSV files with a semicolon delimiter and epoch seconds", async () => {
+		const { rows, reply } = await importFile("a.csv", "timestamp;value;ack\n1704067200;1.5;false\n1704067260;\"2\";true\nbroken;x;\n", { id: "a.0" });
+		expect(rows.map(row => [row.ts, row.value, row.ack])).to.deep.equal([
+			["2024-01-01 00:00:00.000", 1.5, 0],
+			["2024-01-01 00:01:00.000", 2, 1],
+		]);
+		expect(reply).to.deep.equal({ success: true, rows: 2, skipped: 1 });
+	});
+
+	it("reads JSON lines with the ID of every entry", async () => {
+		const { rows } = await importFile("a.jsonl", '{"id":"a.0","ts":1704067200000,"val":3}\n{"id":"a.0","ts":"2024-01-01T00:02:00Z","val":4}\n');
+		expect(rows.map(row => [row.ts, row.value])).to.deep.equal([
+			["2024-01-01 00:00:00.000", 3],
+			["2024-01-01 00:02:00.000", 4],
+		]);
+	});
+
+	it("only reads files inside the imports folder", async () => {
+		const { adapter } = createConnectedAdapter();
+		for (const file of ["/etc/passwd", "../spool.jsonl", "imports/../../x.csv", "."]) {
+			await expect(adapter.handleImportHistory({ command: "importHistory", message: { file } })).to.be.rejectedWith(
+				`Cannot import ${file}`,
+			);
+		}
+		expect(adapter._import.running).to.equal(false);
+	});
+
+	it("rejects unknown timestamp units", async () => {
+		await expect(importFile("b.csv", "ts,val\n1,2\n", { id: "a.0", tsUnit: "us" })).to.be.rejectedWith("tsUnit must be one of auto, ms, s");
+	});
+});
+
+describe("exportHistory", () => {
+	const exportDirectory = path.join(dataDirectory, "exports");
+
+	/**
+	 * An adapter with a number, a boolean and a string datapoint.
+	 */
+	function createExportAdapter() {
+		const { adapter, client } = createConnectedAdapter();
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		adapter._tableCache.set("b.0", { table: "history_b_0", type: "boolean" });
+		adapter._tableCache.set("c.0", { table: "history_c_0", type: "string" });
+		return { adapter, client };
+	}
+
+	/**
+	 * Sends exportHistory and returns the reply.
+	 */
+	async function exportHistory(adapter, message) {
+		await adapter.handleExportHistory({ command: "exportHistory", callback: {}, message });
+		return adapter.sent[adapter.sent.length - 1][2];
+	}
+
+	it("streams the rows into the exports folder and reports the row count", async () => {
+		const { adapter, client } = createExportAdapter();
+		client.exported = "id,ts,value\na.0,1704067200000,1\na.0,1704067260000,2\n";
+		const reply = await exportHistory(adapter, { ids: ["a.0", "x.0"], start: 1704067200000, end: 1704070800000, fileName: "a.csv" });
+		expect(reply).to.deep.equal({
+			success: true,
+			file: path.join(exportDirectory, "a.csv"),
+			rows: 3,
+			ids: ["a.0"],
+			skipped: ["x.0"],
+		});
+		expect(fs.readFileSync(reply.file, "utf8")).to.equal(client.exported);
+		expect(fs.existsSync(`${reply.file}.part`)).to.equal(false);
+		expect(client.execs[0].query).to.match(/\nFORMAT CSVWithNames$/);
+		expect(client.execs[0].clickhouse_settings).to.deep.equal({ wait_end_of_query: 1 });
+		expect(client.execs[0].query_params).to.include({ start: 1704067200000, end: 1704070800000, id0: "a.0" });
+	});
+
+	it("exports mixed value types as text", async () => {
+		const { adapter, client } = createExportAdapter();
+		await exportHistory(adapter, { ids: ["a.0", "b.0", "c.0"], format: "jsonl", fileName: "mixed.jsonl" });
+		const { query } = client.execs[0];
+		expect(query).to.match(/\nFORMAT JSONEachRow$/);
+		expect(query).to.include("toString(value) AS value");
+		expect(query).to.include("toString(CAST(value AS Nullable(Bool))) AS value");
+		expect(query).not.to.include("toFloat64");
+	});
+
+	it("keeps the file name inside the exports folder", async () => {
+		const { adapter } = createExportAdapter();
+		const reply = await exportHistory(adapter, { id: "a.0", fileName: "../../escape.csv" });
+		expect(reply.file).to.equal(path.join(exportDirectory, "escape.csv"));
+	});
+
+	it("only exports numeric datapoints per step", async () => {
+		const { adapter, client } = createExportAdapter();
+		const reply = await exportHistory(adapter, { ids: ["a.0", "b.0"], step: 3600000, fileName: "step.csv" });
+		expect(reply.ids).to.deep.equal(["a.0"]);
+		expect(reply.skipped).to.deep.equal(["b.0"]);
+		expect(client.execs[0].query_params).to.include({ step: 3600000 });
+	});
+
+	it("removes the partial file when the stream fails", async () => {
+		const { adapter, client } = createExportAdapter();
+		client.exec = async () => ({
+			stream: new Readable({
+				read() {
+					this.destroy(new Error("connection reset"));
+				},
+			}),
+			summary: { result_rows: "0" },
+		});
+		await expect(exportHistory(adapter, { id: "a.0", fileName: "broken.csv" })).to.be.rejectedWith("connection reset");
+		expect(fs.existsSync(path.join(exportDirectory, "broken.csv"))).to.equal(false);
+		expect(fs.existsSync(path.join(exportDirectory, "broken.csv.part"))).to.equal(false);
+	});
+
+	it("rejects invalid requests before querying", async () => {
+		const { adapter, client } = createExportAdapter();
+		await expect(exportHistory(adapter, { id: "a.0", format: "xml" })).to.be.rejectedWith(
+			"exportHistory format must be one of csv, jsonl, parquet",
+		);
+		await expect(exportHistory(adapter, { id: "a.0", source: "hourly" })).to.be.rejectedWith(
+			"exportHistory source hourly requires a step",
+		);
+		await expect(exportHistory(adapter, { id: "x.0" })).to.be.rejectedWith("exportHistory found no datapoints");
+		expect(client.execs).to.be.empty;
+	});
+});
+
+describe("rebuildAggregates", () => {
+	/**
+	 * Sends rebuildAggregates and returns the reply.
+	 */
+	async function rebuildAggregates(adapter, message) {
+		await adapter.handleRebuildAggregates({ command: "rebuildAggregates", callback: {}, message });
+		return adapter.sent[adapter.sent.length - 1][2];
+	}
+
+	/**
+	 * A connected adapter with the aggregate tiers set up and the datapoints `ids` registered as numbers.
+	 *
+	 * @param {string[]} ids
+	 * @param {(query: string, params: Record<string, any>) => any[]} [respond]
+	 */
+	async function createTieredAdapter(ids, respond) {
+		const { adapter, client } = createConnectedAdapter(respond);
+		await adapter.ensureAggregateInfrastructure();
+		for (const id of ids) {
+			adapter._tableCache.set(id, { table: `history_${id.replace(".", "_")}`, type: "number" });
+		}
+		client.commands.length = 0;
+		client.queries.length = 0;
+		return { adapter, client };
+	}
+
+	it("replaces the states of every tier from the raw rows", async () => {
+		const { adapter, client } = await createTieredAdapter(["a.0"]);
+		const reply = await rebuildAggregates(adapter, { ids: ["a.0", "x.0"] });
+		expect(reply).to.deep.equal({ success: true, rebuilt: ["a.0"], skipped: ["x.0"], failed: [] });
+		const tiers = Array.from(adapter._aggregateTiers.values());
+		expect(tiers).not.to.be.empty;
+		expect(client.commands).to.have.length(tiers.length * 2);
+		tiers.forEach((tier, index) => {
+			const [remove, insert] = client.commands.slice(index * 2, index * 2 + 2);
+			const { stateIdentifier, stateTable } = adapter.getTierTables(tier, "number");
+			expect(remove.query).to.match(new RegExp(`^ALTER TABLE ${stateIdentifier} DELETE WHERE id = \\{aggregateId:String\\}`));
+			expect(remove.clickhouse_settings).to.deep.equal({ mutations_sync: "1" });
+			expect(insert.query).to.match(new RegExp(`^INSERT INTO \`${stateTable}\`\n`));
+			expect(insert.query_params).to.deep.include({ aggregateId: "a.0" });
+		});
+	});
+
+	it("starts the buckets at the sample before start", async () => {
+		const { adapter, client } = await createTieredAdapter(["a.0"], query =>
+			query.includes("max(ts)") ? [{ ts: "1704060000000" }] : [],
+		);
+		await rebuildAggregates(adapter, { id: "a.0", start: Date.now() - 3600000 });
+		expect(client.commands.every(command => command.query_params.start === 1704060000000)).to.equal(true);
+		expect(client.commands[0].query).to.include("fromUnixTimestamp64Milli({start:UInt64})");
+	});
+
+	it("holds the flushes of the datapoint while its states are replaced", async () => {
+		const { adapter, client } = await createTieredAdapter(["a.0"]);
+		const held = [];
+		const command = client.command;
+		client.command = async options => {
+			held.push(adapter._heldIds.has("a.0"));
+			return command(options);
+		};
+		await rebuildAggregates(adapter, { id: "a.0" });
+		expect(held).not.to.be.empty;
+		expect(held.every(Boolean)).to.equal(true);
+		expect(adapter._heldIds.has("a.0")).to.equal(false);
+	});
+
+	it("reports datapoints that fail and continues with the others", async () => {
+		const { adapter, client } = await createTieredAdapter(["a.0", "b.0"]);
+		const command = client.command;
+		client.command = async options => {
+			if (options.query_params?.aggregateId === "a.0") {
+				throw new Error("too many parts");
+			}
+			return command(options);
+		};
+		const reply = await rebuildAggregates(adapter, {});
+		expect(reply).to.deep.equal({
+			success: false,
+			rebuilt: ["b.0"],
+			skipped: [],
+			failed: [{ id: "a.0", error: "too many parts" }],
+		});
+		expect(adapter._heldIds.size).to.equal(0);
+	});
+
+	it("refuses to run next to an import", async () => {
+		const { adapter, client } = await createTieredAdapter(["a.0"]);
+		adapter._import.running = true;
+		await expect(rebuildAggregates(adapter, { id: "a.0" })).to.be.rejectedWith(
+			"Aggregates cannot be rebuilt while an import is running",
+		);
+		expect(client.commands).to.be.empty;
+	});
+});
+
+describe("TLS options", () => {
+	const pem = "-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----";
+	const base = { host: "db", port: 8443, secure: true, username: "u", password: "p", connectTimeout: 1000 };
+
+	it("connects over HTTP without TLS options", () => {
+		const options = createAdapter().buildClientOptions({ ...base, port: 8123, secure: false, caCert: "/missing.pem" }, "iobroker");
+		expect(options).to.deep.equal({
+			host: "http://db:8123",
+			username: "u",
+			password: "p",
+			request_timeout: 1000,
+			database: "iobroker",
+		});
+	});
+
+	it("verifies the server against a CA certificate file", () => {
+		const file = path.join(dataDirectory, "ca.pem");
+		fs.writeFileSync(file, pem);
+		const options = createAdapter().buildClientOptions({ ...base, caCert: file });
+		expect(options.host).to.equal("https://db:8443");
+		expect(options.tls.ca_cert.toString()).to.equal(pem);
+		expect(options.http_agent).to.equal(undefined);
+	});
+
+	it("passes the client certificate and key for mutual TLS", () => {
+		const options = createAdapter().buildClientOptions({ ...base, caCert: pem, clientCert: pem, clientKey: "-----BEGIN KEY-----" });
+		expect(Object.keys(options.tls)).to.deep.equal(["ca_cert", "cert", "key"]);
+		expect(options.tls.key.toString()).to.equal("-----BEGIN KEY-----");
+	});
+
+	it("uses an agent that accepts self-signed certificates only when allowed", () => {
+		const options = createAdapter().buildClientOptions({ ...base, caCert: pem, allowSelfSigned: true });
+		expect(options.tls).to.equal(undefined);
+		expect(options.http_agent.options).to.include({ rejectUnauthorized: false, keepAlive: false });
+		const verified = createAdapter().buildClientOptions({ ...base, clientCert: pem, clientKey: "-----BEGIN KEY-----" });
+		expect(verified.http_agent.options.rejectUnauthorized).to.equal(true);
+	});
+
+	it("rejects unreadable files and a certificate without key", () => {
+		const adapter = createAdapter();
+		expect(() => adapter.buildClientOptions({ ...base, caCert: "/missing.pem" })).to.throw(
+			"Cannot read CA certificate from /missing.pem",
+		);
+		expect(() => adapter.buildClientOptions({ ...base, clientCert: pem })).to.throw(
+			"TLS client certificate and key have to be configured together",
+		);
+	});
+
+	it("encrypts secrets that are still stored in plain text", async () => {
+		const adapter = createAdapter();
+		const native = { password: "secret", clientKey: "$/aes-192-cbc:abc", readPassword: "" };
+		adapter.objects.set("system.adapter.clickhouse.0", { native });
+		/** @type {any[]} */
+		const extended = [];
+		Object.assign(adapter, {
+			encrypt: value => `$/aes-192-cbc:${value.length}`,
+			extendForeignObjectAsync: async (id, object) => extended.push([id, object]),
+		});
+		expect(await adapter.encryptPlainSecrets()).to.equal(true);
+		expect(extended).to.deep.equal([["system.adapter.clickhouse.0", { native: { password: "$/aes-192-cbc:6" } }]]);
+		native.password = "$/aes-192-cbc:6";
+		expect(await adapter.encryptPlainSecrets()).to.equal(false);
+	});
+});
+
+describe("cluster", () => {
+	/** @type {any[]} */
+	let opened;
+
+	beforeEach(() => {
+		opened = [];
+		openClient = options => {
+			const client = createFakeClient();
+			opened.push({ options, client });
+			return client;
+		};
+	});
+
+	afterEach(() => {
+		openClient = () => createFakeClient();
+	});
+
+	/**
+	 * Connects an adapter configured for `cluster` and returns it with the statements of the write client.
+	 */
+	async function connect(config) {
+		const adapter = createAdapter();
+		Object.assign(adapter.config, config);
+		adapter.parseAdapterConfig();
+		await adapter.connectToClickHouse();
+		adapter.stopHealthCheck();
+		const { options, client } = opened[opened.length - 1];
+		return { adapter, options, client, ddl: client.commands.map(command => command.query).filter(query => /^(CREATE|ALTER|DROP)/.test(query)) };
+	}
+
+	it("creates replicated tables on every node", async () => {
+		const { ddl } = await connect({ cluster: "main" });
+		expect(ddl).not.to.be.empty;
+		for (const query of ddl) {
+			expect(query).to.include(" ON CLUSTER `main`");
+			expect(query).not.to.match(/ENGINE = (?!Replicated)\w*MergeTree/);
+		}
+		expect(ddl.some(query => query.includes("ENGINE = ReplicatedAggregatingMergeTree("))).to.equal(true);
+	});
+
+	it("writes through Distributed tables and waits for the shards", async () => {
+		const { adapter, options, client, ddl } = await connect({ cluster: "main", distributedTables: true });
+		expect(options.clickhouse_settings).to.deep.equal({ insert_distributed_sync: 1 });
+		expect(ddl).to.include(
+			"CREATE TABLE IF NOT EXISTS `history_registry_dist` ON CLUSTER `main`\nAS `history_registry`\nENGINE = Distributed('main', 'iobroker', 'history_registry', cityHash64(id))",
+		);
+		await adapter.ensureTableFor("a.0", "number");
+		const local = client.commands.map(command => command.query).find(query => query.startsWith("CREATE TABLE IF NOT EXISTS `history_a_0` "));
+		expect(local).to.include("ENGINE = ReplicatedMergeTree()");
+		expect(client.inserts.map(insert => insert.table)).to.include("history_registry_dist");
+		await adapter.handleDeleteAll({ command: "deleteAll", message: { id: "a.0" } });
+		const mutation = client.commands.find(command => command.query.startsWith("ALTER TABLE `history_a_0` ON CLUSTER `main` DELETE"));
+		expect(mutation.query).to.equal("ALTER TABLE `history_a_0` ON CLUSTER `main` DELETE WHERE 1");
+		expect(mutation.clickhouse_settings).to.deep.equal({ mutations_sync: "2" });
+	});
+
+	it("ignores Distributed tables without a cluster", async () => {
+		const { options, ddl } = await connect({ distributedTables: true });
+		expect(options.clickhouse_settings).to.equal(undefined);
+		expect(ddl.some(query => query.includes("ON CLUSTER") || query.includes("Replicated") || query.includes("_dist"))).to.equal(false);
+	});
+});
+
+describe("failover", () => {
+	/** @type {Set<string>} */
+	let down;
+	/** @type {any[]} */
+	let opened;
+
+	/**
+	 * A client that fails every call while its host is in `down`.
+	 */
+	function openEndpointClient(options) {
+		const client = createFakeClient();
+		const host = new URL(options.host).hostname;
+		const reachable = () => !down.has(host);
+		for (const method of ["command", "query", "insert"]) {
+			const call = client[method];
+			client[method] = async request => {
+				if (!reachable()) {
+					throw new Error(`connect ECONNREFUSED ${host}`);
+				}
+				return call(request);
+			};
+		}
+		client.ping = async () => (reachable() ? { success: true } : { success: false, error: new Error("socket hang up") });
+		opened.push({ host, username: options.username, client });
+		return client;
+	}
+
+	beforeEach(() => {
+		down = new Set();
+		opened = [];
+		openClient = openEndpointClient;
+	});
+
+	afterEach(() => {
+		openClient = () => createFakeClient();
+	});
+
+	/**
+	 * Connects an adapter with the given configuration, without the health check timer.
+	 */
+	async function connect(config) {
+		const adapter = createAdapter();
+		Object.assign(adapter.config, config);
+		adapter.parseAdapterConfig();
+		await adapter.establishConnection();
+		adapter.stopHealthCheck();
+		return adapter;
+	}
+
+	/**
+	 * Runs one health check and stops the timer that a reconnect starts.
+	 */
+	async function runHealthCheck(adapter) {
+		await adapter.runHealthCheck();
+		adapter.stopHealthCheck();
+	}
+
+	it("connects to the next endpoint when the first one is down", async () => {
+		down.add("one");
+		const adapter = await connect({ host: "one, two:8124" });
+		expect(adapter._endpointIndex).to.equal(1);
+		expect(adapter.states.get("info.endpoint")).to.equal("two:8124");
+	});
+
+	it("fails over when the write connection is lost and returns once the first endpoint is back", async () => {
+		const adapter = await connect({ host: "one, two:8124" });
+		expect(adapter._endpointIndex).to.equal(0);
+		down.add("one");
+		await runHealthCheck(adapter);
+		expect(adapter._endpointIndex).to.equal(1);
+		expect(adapter._client).not.to.equal(null);
+		expect(adapter.states.get("info.endpoint")).to.equal("two:8124");
+		down.delete("one");
+		await runHealthCheck(adapter);
+		expect(adapter._endpointIndex).to.equal(0);
+		expect(adapter.states.get("info.endpoint")).to.equal("one:8123");
+	});
+
+	it("keeps the connection when the server rejects a write", async () => {
+		const adapter = await connect({ host: "one, two:8124" });
+		const client = adapter._client;
+		await adapter.handleConnectionLoss(new Error("Cannot parse input"));
+		expect(adapter._client).to.equal(client);
+		expect(adapter._endpointIndex).to.equal(0);
+	});
+
+	it("reads from the read endpoint and falls back to the write connection while it is down", async () => {
+		const adapter = await connect({ host: "one", readHost: "replica", readUsername: "ro", readPassword: "x" });
+		const replica = opened.filter(entry => entry.host === "replica");
+		expect(replica.map(entry => entry.username)).to.deep.equal(["ro"]);
+		expect(adapter.getReadClient()).to.equal(replica[0].client);
+		expect(adapter.states.get("info.readEndpoint")).to.equal("replica:8123");
+
+		down.add("replica");
+		await runHealthCheck(adapter);
+		expect(adapter.getReadClient()).to.equal(adapter._client);
+		expect(adapter.states.get("info.readEndpoint")).to.equal("one:8123");
+
+		down.delete("replica");
+		await runHealthCheck(adapter);
+		expect(adapter.getReadClient()).to.equal(opened[opened.length - 1].client);
+		expect(adapter.states.get("info.readEndpoint")).to.equal("replica:8123");
+	});
+});
+
+describe("write statistics", () => {
+	/** @type {sinon.SinonFakeTimers} */
+	let clock;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ now: Date.UTC(2024, 0, 1), toFake: ["Date"] });
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	/**
+	 * A connected adapter that tracks `a.0` with the given custom settings.
+	 */
+	async function createTrackingAdapter(custom) {
+		const { adapter, client } = createConnectedAdapter();
+		Object.assign(adapter, { subscribeForeignStates() {} });
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		await adapter.addTrackedDatapoint("a.0", { enabled: true, ...custom });
+		return { adapter, client };
+	}
+
+	it("counts skipped values per reason", async () => {
+		const { adapter } = await createTrackingAdapter({
+			changesOnly: true,
+			ignoreZero: true,
+			ignoreBelowNumber: 0,
+			ignoreAboveNumber: 100,
+		});
+		const ts = Date.now();
+		for (const [val, ack] of [[1, false], [0, true], [-1, true], [101, true], [5, true], [5, true]]) {
+			await adapter.pushHistory("a.0", { val, ack, ts });
+		}
+		await adapter.updateStatsStates();
+		expect(adapter._buffer).to.have.length(1);
+		expect(adapter.states.get("info.stats.skipped.ackFalse")).to.equal(1);
+		expect(adapter.states.get("info.stats.skipped.ignoreZero")).to.equal(1);
+		expect(adapter.states.get("info.stats.skipped.belowThreshold")).to.equal(1);
+		expect(adapter.states.get("info.stats.skipped.aboveThreshold")).to.equal(1);
+		expect(adapter.states.get("info.stats.skipped.unchanged")).to.equal(1);
+		expect(adapter.states.get("info.stats.bufferLength")).to.equal(1);
+		expect(adapter.states.get("info.stats.trackedDatapoints")).to.equal(1);
+	});
+
+	it("reports written rows, the rate of the last minute and failed flushes", async () => {
+		const { adapter, client } = await createTrackingAdapter({ changesOnly: false });
+		await adapter.pushHistory("a.0", { val: 1, ack: true, ts: Date.now() });
+		await adapter.pushHistory("a.0", { val: 2, ack: true, ts: Date.now() + 1 });
+		expect(await adapter.flushBuffer(true)).to.equal(2);
+		await adapter.updateStatsStates();
+		expect(adapter.states.get("info.stats.rowsWritten")).to.equal(2);
+		expect(adapter.states.get("info.stats.rowsPerMinute")).to.equal(2);
+		expect(adapter.states.get("info.stats.lastFlush")).to.equal(Date.now());
+
+		clock.tick(61000);
+		client.insert = async () => {
+			throw new Error("Code: 241. Memory limit exceeded");
+		};
+		await adapter.pushHistory("a.0", { val: 3, ack: true, ts: Date.now() });
+		await adapter.flushBuffer(true).catch(() => null);
+		await adapter.updateStatsStates();
+		expect(adapter.states.get("info.stats.rowsWritten")).to.equal(2);
+		expect(adapter.states.get("info.stats.rowsPerMinute")).to.equal(0);
+		expect(adapter.states.get("info.stats.failedFlushes")).to.equal(1);
+		expect(adapter.states.get("info.stats.lastError")).to.include("Memory limit exceeded");
+	});
+});
+
+describe("getStorageStats", () => {
+	const day = 24 * 3600 * 1000;
+	const registry = [
+		{ id: "a.0", table: "history_a_0", type: "number", generations: JSON.stringify([{ table: "history_a_0_v1", type: "string" }]) },
+		{ id: "w.0", table: "history_wide", type: "number", generations: "" },
+		{ id: "w.1", table: "history_wide", type: "string", generations: "" },
+	];
+
+	/**
+	 * An adapter whose ClickHouse knows the datapoints of `registry`, with the views of a.0 only.
+	 */
+	function createStorageAdapter() {
+		/** @type {any} */
+		let adapter = null;
+		const respond = query => {
+			if (query.includes("FROM `history_registry` FINAL")) {
+				return registry;
+			}
+			if (query.includes("FROM system.parts")) {
+				return [
+					{ table: "history_a_0", rows: "10", compressed: "100", uncompressed: "400" },
+					{ table: "history_a_0_v1", rows: "5", compressed: "50", uncompressed: "150" },
+					{ table: "history_wide", rows: "40", compressed: "1000", uncompressed: "4000" },
+				];
+			}
+			if (query.includes("FROM system.tables")) {
+				return [
+					{ name: "history_a_0", engine: "MergeTree", engine_full: "MergeTree ORDER BY ts TTL ts + toIntervalDay(30) SETTINGS index_granularity = 8192" },
+					{ name: "history_wide", engine: "MergeTree", engine_full: "MergeTree ORDER BY (id, ts)" },
+					...["mvh_", "mv_", "mvm_"].map(viewPrefix => ({
+						name: adapter.getMaterializedViewName("history_a_0", { viewPrefix }, "number"),
+						engine: "MaterializedView",
+					})),
+				];
+			}
+			if (query.includes("FROM merge(")) {
+				return [
+					{ table: "history_a_0", first: String(10 * day), last: String(20 * day), rows: "10" },
+					{ table: "history_a_0_v1", first: String(5 * day), last: String(9 * day), rows: "5" },
+				];
+			}
+			if (query.includes("GROUP BY id")) {
+				return [
+					{ id: "w.0", first: String(day), last: String(2 * day), rows: "30" },
+					{ id: "w.1", first: String(3 * day), last: String(4 * day), rows: "10" },
+				];
+			}
+			return [];
+		};
+		adapter = createConnectedAdapter(respond).adapter;
+		return adapter;
+	}
+
+	/**
+	 * Sends getStorageStats and returns the reply.
+	 */
+	async function getStorageStats(adapter, message) {
+		await adapter.handleGetStorageStats({ command: "getStorageStats", callback: {}, message });
+		return adapter.sent[adapter.sent.length - 1][2];
+	}
+
+	it("lists the storage of every datapoint, the largest first", async () => {
+		const { stats } = await getStorageStats(createStorageAdapter(), {});
+		expect(stats).to.deep.equal([
+			{
+				id: "w.0",
+				table: "history_wide",
+				type: "number",
+				layout: "wide",
+				generations: 1,
+				rows: 30,
+				compressedBytes: 750,
+				uncompressedBytes: 3000,
+				firstTs: day,
+				lastTs: 2 * day,
+				ttlDays: 0,
+				materializedViews: false,
+			},
+			{
+				id: "w.1",
+				table: "history_wide",
+				type: "string",
+				layout: "wide",
+				generations: 1,
+				rows: 10,
+				compressedBytes: 250,
+				uncompressedBytes: 1000,
+				firstTs: 3 * day,
+				lastTs: 4 * day,
+				ttlDays: 0,
+				materializedViews: false,
+			},
+			{
+				id: "a.0",
+				table: "history_a_0",
+				type: "number",
+				layout: "perState",
+				generations: 2,
+				rows: 15,
+				compressedBytes: 150,
+				uncompressedBytes: 550,
+				firstTs: 5 * day,
+				lastTs: 20 * day,
+				ttlDays: 30,
+				materializedViews: true,
+			},
+		]);
+	});
+
+	it("limits the list to a pattern and wraps it for the admin tab", async () => {
+		const reply = await getStorageStats(createStorageAdapter(), { pattern: "w.*", native: true });
+		expect(reply.native.storageStats.map(entry => [entry.id, entry.firstTs])).to.deep.equal([
+			["w.0", "1970-01-02T00:00:00.000Z"],
+			["w.1", "1970-01-04T00:00:00.000Z"],
+		]);
+	});
+});
+
+describe("orphans", () => {
+	const respond = query => {
+		if (query.includes("FROM `history_registry` FINAL")) {
+			return [
+				{ id: "a.0", table: "history_a_0", type: "number" },
+				{ id: "b.0", table: "history_wide", type: "number" },
+				{ id: "c.0", table: "history_c_0", type: "number" },
+			];
+		}
+		if (query.includes("FROM `history_registry`")) {
+			return [{ id: "c.0", rows: "2" }];
+		}
+		if (query.includes("FROM system.tables")) {
+			return [
+				...["history_a_0", "history_c_0", "history_old_0", "history_wide", "history_old_0_staging", "other_0"].map(name => ({
+					name,
+					engine: "MergeTree",
+					create_table_query: "",
+				})),
+				{ name: "history_hourly_state", engine: "AggregatingMergeTree", create_table_query: "" },
+				{ name: "mvh_gone", engine: "MaterializedView", create_table_query: "CREATE MATERIALIZED VIEW iobroker.mvh_gone TO iobroker.history_hourly_state" },
+				{ name: "mvh_foreign", engine: "MaterializedView", create_table_query: "CREATE MATERIALIZED VIEW iobroker.mvh_foreign TO iobroker.other_state" },
+			];
+		}
+		if (query.includes("FROM system.columns")) {
+			return ["history_a_0", "history_c_0", "history_old_0", "history_wide", "history_old_0_staging", "other_0"].map(table => ({ table }));
+		}
+		if (query.includes("FROM `history_wide` GROUP BY id")) {
+			return [{ id: "b.0" }, { id: "z.0" }];
+		}
+		if (query.includes("FROM `history_hourly_state` GROUP BY id")) {
+			return [{ id: "a.0" }, { id: "y.0" }];
+		}
+		return [];
+	};
+
+	/**
+	 * An adapter with a deleted (a.0), a disabled (b.0) and a logged datapoint (c.0) in the registry.
+	 */
+	async function createOrphanAdapter() {
+		const { adapter, client } = createConnectedAdapter(respond);
+		await adapter.ensureAggregateInfrastructure();
+		adapter.objects.set("b.0", { common: { custom: {} } });
+		adapter.objects.set("c.0", { common: { custom: { "clickhouse.0": { enabled: true } } } });
+		client.commands.length = 0;
+		client.queries.length = 0;
+		return { adapter, client };
+	}
+
+	/**
+	 * Sends `command` and returns the reply.
+	 */
+	async function send(adapter, command, message) {
+		const handler = command === "findOrphans" ? adapter.handleFindOrphans : adapter.handleCleanupOrphans;
+		await handler.call(adapter, { command, callback: {}, message });
+		return adapter.sent[adapter.sent.length - 1][2];
+	}
+
+	it("lists the leftovers of datapoints that are no longer logged", async () => {
+		const { adapter } = await createOrphanAdapter();
+		expect(await send(adapter, "findOrphans", {})).to.deep.equal({
+			error: null,
+			orphans: [
+				{ id: "a.0", reason: "deleted", table: "history_a_0", type: "number", layout: "perState" },
+				{ id: "b.0", reason: "disabled", table: "history_wide", type: "number", layout: "wide" },
+			],
+			tables: ["history_old_0"],
+			views: ["mvh_gone"],
+			wideIds: ["z.0"],
+			aggregateIds: ["y.0"],
+			duplicates: [{ id: "c.0", rows: 2 }],
+		});
+	});
+
+	it("limits the list to the requested reasons", async () => {
+		const { adapter, client } = await createOrphanAdapter();
+		const reply = await send(adapter, "findOrphans", { reasons: "duplicate" });
+		expect(reply.orphans).to.be.empty;
+		expect(reply.tables).to.be.empty;
+		expect(reply.duplicates).to.have.length(1);
+		expect(client.queries.some(query => query.query.includes("system.tables"))).to.equal(false);
+		await expect(send(adapter, "findOrphans", { reasons: ["gone"] })).to.be.rejectedWith("Unknown orphan reason gone");
+	});
+
+	it("only lists what it would remove unless dryRun is false", async () => {
+		const { adapter, client } = await createOrphanAdapter();
+		const reply = await send(adapter, "cleanupOrphans", {});
+		expect(reply).to.include({ success: true, dryRun: true, keepAggregates: false });
+		expect(reply.orphans).to.have.length(2);
+		expect(client.commands).to.be.empty;
+		await expect(send(adapter, "cleanupOrphans", { dryRun: false })).to.be.rejectedWith(
+			"cleanupOrphans with dryRun: false requires reasons",
+		);
+		expect(client.commands).to.be.empty;
+	});
+
+	it("removes the orphans of the given reasons, the registry entry last", async () => {
+		const { adapter, client } = await createOrphanAdapter();
+		const reply = await send(adapter, "cleanupOrphans", { dryRun: false, reasons: ["deleted", "disabled", "unregistered", "duplicate"] });
+		expect(reply.success).to.equal(true);
+		const queries = client.commands.map(command => command.query);
+		const unregistered = client.commands.findIndex(
+			command => command.query.startsWith("ALTER TABLE `history_registry` DELETE") && command.query_params.id === "a.0",
+		);
+		expect(queries.indexOf("DROP TABLE IF EXISTS `history_a_0`")).to.be.within(0, unregistered);
+		expect(queries).to.include("DROP TABLE IF EXISTS `history_old_0`");
+		expect(queries).to.include("DROP VIEW IF EXISTS `mvh_gone`");
+		expect(queries).not.to.include("DROP VIEW IF EXISTS `mvh_foreign`");
+		expect(queries.some(query => query.includes("history_c_0"))).to.equal(false);
+		const deletes = client.commands.filter(command => command.query.includes("DELETE WHERE id IN"));
+		expect(deletes.map(command => [command.query.split(" ")[2], command.query_params.ids])).to.deep.include.members([
+			["`history_wide`", ["b.0"]],
+			["`history_wide`", ["z.0"]],
+			["`history_hourly_state`", ["y.0"]],
+		]);
+		expect(queries).to.include("ALTER TABLE `history_hourly_state` DELETE WHERE id = {id:String}");
+		expect(queries[queries.length - 1]).to.equal("OPTIMIZE TABLE `history_registry` FINAL");
+	});
+
+	it("keeps the aggregates with keepAggregates", async () => {
+		const { adapter, client } = await createOrphanAdapter();
+		const reply = await send(adapter, "cleanupOrphans", { dryRun: false, reasons: ["deleted"], keepAggregates: true });
+		expect(reply.aggregateIds).to.be.empty;
+		expect(client.commands.some(command => /_state` /.test(command.query))).to.equal(false);
+		expect(client.commands.map(command => command.query)).to.include("DROP TABLE IF EXISTS `history_a_0`");
+	});
+});
+
+describe("getHistoryMulti", () => {
+	const hour = 3600000;
+	/**
+	 * The rows of all parts a batch query can have, by its kind.
+	 *
+	 * @type {(query: string) => any[]}
+	 */
+	const rowsOf = query => {
+		if (query.includes("bucket")) {
+			return [
+				{ part: 1, bucket: String(2 * hour), point_ts: String(2.5 * hour), point_value: "2" },
+				{ part: 0, bucket: String(hour), point_ts: String(1.5 * hour), point_value: "1" },
+				{ part: 0, bucket: "0", point_ts: String(0.5 * hour), point_value: "0.5" },
+			];
+		}
+		if (query.includes("history_s_0")) {
+			return [{ part: 0, ts: "2000", value: "on", ack: 1, q: 0, from: "", lc: null }];
+		}
+		return [
+			{ part: 1, ts: "3000", value: "7", ack: 1, q: 0, from: "", lc: null },
+			{ part: 0, ts: "2000", value: "5", ack: 1, q: 0, from: "", lc: null },
+			{ part: 0, ts: "1000", value: "4", ack: 0, q: 0, from: "", lc: null },
+		];
+	};
+	/** @type {(query: string) => any[]} */
+	const respond = query => {
+		if (query.includes("IN {ids:Array(String)}")) {
+			return [{ id: "late.0", table: "history_late_0", type: "number" }];
+		}
+		const parts = (query.match(/ AS part,/g) || []).length;
+		return rowsOf(query).filter(row => row.part < parts);
+	};
+
+	/**
+	 * An adapter with a numeric and a string datapoint in the cache; late.0 is only in the registry.
+	 */
+	function createMultiAdapter() {
+		const { adapter, client } = createConnectedAdapter(respond);
+		adapter._tableCache.set("a.0", { table: "history_a_0", type: "number" });
+		adapter._tableCache.set("s.0", { table: "history_s_0", type: "string" });
+		return { adapter, client };
+	}
+
+	/**
+	 * Sends getHistoryMulti and returns the reply.
+	 */
+	async function getHistoryMulti(adapter, ids, options) {
+		await adapter.handleGetHistoryMulti({ command: "getHistoryMulti", callback: {}, message: { ids, options } });
+		return adapter.sent[adapter.sent.length - 1][2];
+	}
+
+	it("reads the raw rows with one query per value type", async () => {
+		const { adapter, client } = createMultiAdapter();
+		const reply = await getHistoryMulti(adapter, ["a.0", "late.0", "s.0", "none.0", "a.0"], { start: 0, end: 5000 });
+		const reads = client.queries.filter(query => query.query.includes("AS part"));
+		expect(reads).to.have.length(2);
+		expect(client.queries[0].query_params).to.deep.equal({ ids: ["late.0", "none.0"] });
+		expect(reply.step).to.equal(null);
+		expect(Object.keys(reply.result)).to.deep.equal(["a.0", "late.0", "s.0", "none.0"]);
+		expect(reply.result["a.0"].map(point => [point.ts, point.val, point.ack])).to.deep.equal([
+			[1000, 4, false],
+			[2000, 5, true],
+		]);
+		expect(reply.result["late.0"].map(point => point.val)).to.deep.equal([7]);
+		expect(reply.result["s.0"].map(point => point.val)).to.deep.equal(["on"]);
+		expect(reply.result["none.0"]).to.deep.equal([]);
+	});
+
+	it("puts aggregated series on one grid with align", async () => {
+		const { adapter } = createMultiAdapter();
+		const reply = await getHistoryMulti(adapter, ["a.0", "late.0"], {
+			start: 0,
+			end: 3 * hour - 1,
+			step: hour,
+			aggregate: "average",
+			align: true,
+		});
+		expect(reply.step).to.equal(hour);
+		const grid = series => series.map(point => [point.ts, point.val]);
+		expect(grid(reply.result["a.0"])).to.deep.equal([
+			[0.5 * hour, 0.5],
+			[1.5 * hour, 1],
+			[2.5 * hour, null],
+		]);
+		expect(grid(reply.result["late.0"])).to.deep.equal([
+			[0.5 * hour, null],
+			[1.5 * hour, null],
+			[2.5 * hour, 2],
+		]);
+	});
+
+	it("reports datapoints that cannot be read next to the others", async () => {
+		const { adapter } = createMultiAdapter();
+		const reply = await getHistoryMulti(adapter, ["a.0", "s.0"], { start: 0, end: 3 * hour - 1, step: hour, aggregate: "average" });
+		expect(reply.result["a.0"]).to.have.length(2);
+		expect(reply.result["s.0"]).to.deep.equal([]);
+		expect(Object.keys(reply.errors)).to.deep.equal(["s.0"]);
+	});
+
+	it("rejects align for aggregates without one value per step", async () => {
+		const { adapter } = createMultiAdapter();
+		await expect(getHistoryMulti(adapter, ["a.0"], { aggregate: "minmax", align: true })).to.be.rejectedWith(
+			"getHistoryMulti align requires an aggregate with one value per step",
+		);
+		await expect(getHistoryMulti(adapter, [], {})).to.be.rejectedWith("getHistoryMulti requires ids and options");
+	});
+});
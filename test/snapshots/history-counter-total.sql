@@ -0,0 +1,22 @@
+SELECT
+			bucket,
+			bucket + intDiv({step:UInt64}, 2) AS point_ts, sum(delta) AS point_value
+		FROM (
+			SELECT
+				toUnixTimestamp64Milli(ts) AS ts_ms,
+				toUnixTimestamp64Milli(toDateTime64(toStartOfInterval(ts, toIntervalMillisecond({step:UInt64})), 3)) AS bucket,
+				value AS value,
+				toFloat64(assumeNotNull(value)) AS val,
+				if(val < ifNull(lagInFrame(toNullable(val)) OVER p, val) * 0.9, val, val - ifNull(lagInFrame(toNullable(val)) OVER p, val)) AS delta,
+				leadInFrame(val, 1, val) OVER w AS next_val,
+				leadInFrame(ts_ms, 1, toInt64({end:UInt64})) OVER w - ts_ms AS duration_ms
+			FROM `history_meter_0`
+			WHERE value IS NOT NULL
+				AND ts >= (SELECT max(ts) FROM `history_meter_0` WHERE value IS NOT NULL AND ts < fromUnixTimestamp64Milli({start:UInt64}))
+				AND ts <= fromUnixTimestamp64Milli({end:UInt64})
+			WINDOW w AS (ORDER BY ts ROWS BETWEEN CURRENT ROW AND 1 FOLLOWING), p AS (ORDER BY ts ROWS BETWEEN 1 PRECEDING AND CURRENT ROW)
+		)
+		WHERE ts_ms >= {start:UInt64}
+		GROUP BY bucket
+		ORDER BY bucket ASC
+		
\ No newline at end of file
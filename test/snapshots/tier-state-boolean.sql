@@ -0,0 +1,56 @@
+SELECT
+	{id:String} AS id,
+	hour,
+	sumState(if(segment_value = 1, duration, toInt64(0))) AS true_ms_state,
+	sumState(duration) AS known_ms_state,
+	sumState(toUInt64(sample = 1 AND linked AND val != segment_value)) AS switches_state,
+	argMinStateIf(val, ts, sample = 1) AS first_state,
+	argMaxStateIf(val, ts, sample = 1) AS last_state,
+	countStateIf(sample = 1) AS count_state,
+	now() AS updated
+FROM (
+	SELECT
+		ts,
+		val,
+		segment_value,
+		linked,
+		part.1 AS hour,
+		part.2 AS sample,
+		part.3 AS duration
+	FROM (
+		SELECT
+			ts,
+			toUInt8(assumeNotNull(value)) AS val,
+			toUnixTimestamp64Milli(ts) AS ts_ms,
+			toStartOfHour(ts, 'UTC') AS sample_bucket,
+			isNotNull(prev_ts) AS linked,
+			ifNull(prev_ts, ts) AS segment_start,
+			toUnixTimestamp64Milli(segment_start) AS segment_start_ms,
+			toStartOfHour(segment_start, 'UTC') AS segment_bucket,
+			arrayMap(
+				bucket_offset -> date_sub(hour, bucket_offset, sample_bucket),
+				range(toUInt64(greatest(dateDiff('hour', segment_bucket, sample_bucket), 0)) + 1)
+			) AS segment_buckets,
+			toUInt8(ifNull(prev_value, 0)) AS segment_value
+		FROM `history_x`
+		WHERE value IS NOT NULL
+	)
+	ARRAY JOIN arrayConcat(
+		[(sample_bucket, 1, toInt64(0))],
+		arrayMap(
+			(segment_part, part_index) -> (
+				segment_part,
+				0,
+				greatest(
+					if(part_index = 1, ts_ms, toInt64(toUnixTimestamp(toDateTime(segment_buckets[part_index - 1], 'UTC'))) * 1000)
+						- greatest(toInt64(toUnixTimestamp(toDateTime(segment_part, 'UTC'))) * 1000, segment_start_ms),
+					toInt64(0)
+				)
+			),
+			segment_buckets,
+			arrayEnumerate(segment_buckets)
+		)
+	) AS part
+)
+WHERE (sample = 1 OR duration > 0)
+GROUP BY hour
\ No newline at end of file
@@ -0,0 +1,60 @@
+SELECT
+	{id:String} AS id,
+	hour,
+	minStateIf(val, sample = 1) AS min_state,
+	maxStateIf(val, sample = 1) AS max_state,
+	avgStateIf(val, sample = 1) AS avg_state,
+	argMaxStateIf(val, ts, sample = 1) AS last_state,
+	countStateIf(sample = 1) AS count_state,
+	sumStateIf(val, sample = 1) AS sum_state,
+	sumState(segment_value * duration / 3.6e9) AS integral_state,
+	sumStateIf(delta, sample = 1) AS delta_state,
+	now() AS updated
+FROM (
+	SELECT
+		ts,
+		val,
+		delta,
+		segment_value,
+		linked,
+		part.1 AS hour,
+		part.2 AS sample,
+		part.3 AS duration
+	FROM (
+		SELECT
+			ts,
+			toFloat64(assumeNotNull(value)) AS val,
+			if(val < ifNull(prev_value, val) * 0.9, val, val - ifNull(prev_value, val)) AS delta,
+			toUnixTimestamp64Milli(ts) AS ts_ms,
+			toStartOfHour(ts, 'UTC') AS sample_bucket,
+			isNotNull(prev_ts) AS linked,
+			ifNull(prev_ts, ts) AS segment_start,
+			toUnixTimestamp64Milli(segment_start) AS segment_start_ms,
+			toStartOfHour(segment_start, 'UTC') AS segment_bucket,
+			arrayMap(
+				bucket_offset -> date_sub(hour, bucket_offset, sample_bucket),
+				range(toUInt64(greatest(dateDiff('hour', segment_bucket, sample_bucket), 0)) + 1)
+			) AS segment_buckets,
+			ifNull(prev_value, 0) AS segment_value
+		FROM `history_x`
+		WHERE value IS NOT NULL
+	)
+	ARRAY JOIN arrayConcat(
+		[(sample_bucket, 1, toInt64(0))],
+		arrayMap(
+			(segment_part, part_index) -> (
+				segment_part,
+				0,
+				greatest(
+					if(part_index = 1, ts_ms, toInt64(toUnixTimestamp(toDateTime(segment_buckets[part_index - 1], 'UTC'))) * 1000)
+						- greatest(toInt64(toUnixTimestamp(toDateTime(segment_part, 'UTC'))) * 1000, segment_start_ms),
+					toInt64(0)
+				)
+			),
+			segment_buckets,
+			arrayEnumerate(segment_buckets)
+		)
+	) AS part
+)
+WHERE (sample = 1 OR duration > 0)
+GROUP BY hour
\ No newline at end of file